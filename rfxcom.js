@@ -24,6 +24,11 @@
 module.exports = function (RED) {
     "use strict";
     const rfxcom = require("rfxcom");
+    const net = require("net");
+    const fs = require("fs");
+    const path = require("path");
+    const EventEmitter = require("events");
+    const {SerialPort} = require("serialport");
 
 // Set the rfxcom debug option from the environment variable
     let enableAllDebug = false;
@@ -31,56 +36,1246 @@ module.exports = function (RED) {
         enableAllDebug = true;
     }
 
-// The config node holding the (serial) port device path for one or more rfxcom family nodes
+// The config node holding the (serial) port device path, or the host:port network address, for one or more rfxcom
+// family nodes
     function RfxtrxPortNode(n) {
         RED.nodes.createNode(this, n);
         this.port = n.port;
+        this.connectionType = n.connectionType || "serial";
+        this.identifyBy = n.identifyBy || "path";
+        this.serialNumber = (n.serialNumber || "").trim();
+        this.secondaryPort = (n.secondaryPort || "").trim();
+        this.virtualEvents = n.virtualEvents || "";
+        this.txGap = (n.txGap === undefined || n.txGap === "") ? 100 : Math.max(Number(n.txGap) || 0, 0);
+        this.txQueueLimit = Math.max(parseInt(n.txQueueLimit, 10) || 50, 1);
+        this.txDropPolicy = n.txDropPolicy || "oldest";
+        this.reconnectDelay = Math.max(Number(n.reconnectDelay) || 6, 1);
+        this.reconnectBackoff = Math.max(Number(n.reconnectBackoff) || 2, 1);
+        this.reconnectMaxDelay = Math.max(Number(n.reconnectMaxDelay) || 300, this.reconnectDelay);
+        this.reconnectMaxAttempts = Math.max(parseInt(n.reconnectMaxAttempts, 10) || 0, 0);
         this.rfyVenetianMode = n.rfyVenetianMode || "EU";
         this.enableDebug = n.enableDebug || false;
+        this.protocolMode = n.protocolMode || "device";
+        this.enabledProtocols = n.enabledProtocols || [];
+        this.saveProtocols = n.saveProtocols || false;
+        this.registry = n.registry || "";
+        this.receiverGroup = (n.receiverGroup || "").trim();
+        this.receiverWindow = (n.receiverWindow === undefined || n.receiverWindow === "") ? 150 :
+            Math.max(Number(n.receiverWindow) || 0, 0);
     }
 
 // Register the config node
     RED.nodes.registerType("rfxtrx-port", RfxtrxPortNode);
 
+// The config node holding a registry of devices: each entry gives the friendly name, room, and type of the device
+// with a given topic. Input nodes attach the entry for the topic of each message they send, and output nodes accept the
+// friendly name in place of the topic
+    function RfxDeviceRegistryNode(n) {
+        RED.nodes.createNode(this, n);
+        this.name = n.name;
+        this.devices = (n.devices || []).filter(function (entry) {
+            return typeof entry.topic === "string" && entry.topic.trim() !== "";
+        }).map(function (entry) {
+            return {
+                topic: entry.topic.trim(),
+                parts: normaliseTopic(entry.topic),
+                name:  (entry.name || "").trim(),
+                room:  (entry.room || "").trim(),
+                type:  (entry.type || "").trim()
+            };
+        }).sort(function (a, b) {
+            return b.parts.length - a.parts.length;
+        });
+    }
+
+// Return the registry entry for a topic: the entry with the same topic, or failing that the most specific entry whose
+// topic the given topic starts with (e.g. 'AC/0x01234567' for 'AC/0x01234567/2'). Returns undefined if none match
+    RfxDeviceRegistryNode.prototype.lookup = function (topic) {
+        const key = String(topic).toUpperCase();
+        const parts = normaliseTopic(topic);
+        return this.devices.find(function (entry) {
+            return entry.topic.toUpperCase() === key;
+        }) || this.devices.find(function (entry) {
+            return checkTopic(parts, entry.parts);
+        });
+    };
+
+// Return the topic registered for a friendly name (ignoring case), or the argument unchanged if it is not a name
+    RfxDeviceRegistryNode.prototype.topicOf = function (name) {
+        const key = String(name).trim().toLowerCase();
+        const entry = this.devices.find(function (entry) {
+            return entry.name !== "" && entry.name.toLowerCase() === key;
+        });
+        return entry !== undefined ? entry.topic : name;
+    };
+
+    RED.nodes.registerType("rfx-device-registry", RfxDeviceRegistryNode);
+
+// Return the device registry used by the nodes of an rfxtrx-port config node (given by its ID), or null if none
+    const deviceRegistry = function (port) {
+        const rfxtrxPort = RED.nodes.getNode(port);
+        if (rfxtrxPort && rfxtrxPort.registry) {
+            return RED.nodes.getNode(rfxtrxPort.registry) || null;
+        }
+        return null;
+    };
+
+// If the topic is the friendly name of a device in the registry, return the device's topic; otherwise return the topic
+    const deviceTopic = function (registry, topic) {
+        if (registry !== null && registry !== undefined && typeof topic === "string") {
+            return registry.topicOf(topic);
+        }
+        return topic;
+    };
+
+// Split a network address of the form [tcp://]host:port into its parts. Returns null if the address is not valid
+    const parseNetworkAddress = function (address) {
+        const match = /^(?:tcp:\/\/)?\[?([^\[\]]+?)]?:([0-9]+)\/?$/i.exec(String(address).trim());
+        if (match === null || Number(match[2]) < 1 || Number(match[2]) > 65535) {
+            return null;
+        }
+        return {host: match[1], port: Number(match[2])};
+    };
+
+// Create an object which stands in for a SerialPort, but which carries the RFXtrx byte stream over a TCP connection
+// (ser2net, or an RFXtrx LAN interface). It implements just those parts of the SerialPort API used by RfxCom. A new
+// socket is created each time the port is opened, so the RfxCom reconnect logic works unchanged. An unexpected end of
+// the connection is reported as a 'close' event with a 'disconnected' error, exactly as SerialPort does when a USB
+// device is unplugged
+    const createNetworkPort = function (host, port) {
+        const networkPort = new EventEmitter();
+        let socket = null, destination = null;
+
+        const disconnectedError = function (message) {
+            const err = new Error(message);
+            err.disconnected = true;
+            return err;
+        };
+
+        networkPort.isOpen = false;
+        networkPort.path = host + ":" + port;
+
+        networkPort.pipe = function (parser) {
+            destination = parser;
+            return parser;
+        };
+
+        networkPort.open = function () {
+            if (socket !== null) {
+                return;
+            }
+            let lastError = null;
+            const connection = net.connect({host: host, port: port});
+            socket = connection;
+            connection.setNoDelay(true);
+            connection.setKeepAlive(true, 10000);
+            // Don't wait for ever if the host does not answer
+            connection.setTimeout(10000, function () {
+                connection.destroy(new Error("Timed out connecting to " + networkPort.path));
+            });
+            connection.on("connect", function () {
+                connection.setTimeout(0);
+                networkPort.isOpen = true;
+                networkPort.emit("open");
+            });
+            connection.on("data", function (data) {
+                if (destination !== null) {
+                    destination.write(data);
+                }
+            });
+            connection.on("error", function (err) {
+                lastError = err;
+            });
+            connection.on("close", function () {
+                if (socket !== connection) {
+                    // Closed by a call to close()
+                    networkPort.emit("close");
+                    return;
+                }
+                socket = null;
+                networkPort.isOpen = false;
+                networkPort.emit("close", disconnectedError(lastError !== null ? lastError.message :
+                                                            "Connection to " + networkPort.path + " closed"));
+            });
+        };
+
+        networkPort.close = function (callback) {
+            if (socket !== null) {
+                const closing = socket;
+                socket = null;
+                networkPort.isOpen = false;
+                closing.destroy();
+            }
+            if (typeof callback === "function") {
+                callback(null);
+            }
+        };
+
+        networkPort.write = function (buffer, callback) {
+            if (socket === null) {
+                if (typeof callback === "function") {
+                    callback(new Error("Not connected to " + networkPort.path));
+                }
+                return;
+            }
+            socket.write(Buffer.from(buffer), function (err) {
+                if (typeof callback === "function") {
+                    callback(err || null);
+                }
+            });
+        };
+
+        // There is no receive buffer to flush on a network connection
+        networkPort.flush = function (callback) {
+            if (typeof callback === "function") {
+                callback(null);
+            }
+        };
+
+        return networkPort;
+    };
+
+// Convert a string of hex digits (e.g. '0b11000...', optionally with a leading '0x' and whitespace) to an Array of
+// bytes. Returns null if the string contains anything else
+    const hexToBytes = function (hex) {
+        const bytes = (String(hex).replace(/^0x|\s/gi, "").match(/../g) || []).map(function (digits) {
+            return /^[0-9a-f]{2}$/i.test(digits) ? parseInt(digits, 16) : NaN;
+        });
+        return bytes.some(isNaN) ? null : bytes;
+    };
+
+// Return the rfxcom table of subtype names for a packet event name (the cases differ, e.g. 'temperaturehumidity1' and
+// rfxcom.temperatureHumidity1), or undefined if there is none
+    const packetTable = function (packetName) {
+        const tableName = Object.keys(rfxcom).find(function (key) {
+            return key.toLowerCase() === String(packetName).toLowerCase() && typeof rfxcom[key] === "object";
+        });
+        return tableName !== undefined ? rfxcom[tableName] : undefined;
+    };
+
+// Return the name of a packet subtype (e.g. 'AC' for lighting2 subtype 1), or the subtype number if it has no name
+    const subtypeName = function (packetName, subtype) {
+        const table = packetTable(packetName);
+        if (table !== undefined) {
+            if (typeof table[subtype] === "string") {
+                return table[subtype];
+            }
+            const name = Object.keys(table).find(function (key) {
+                return table[key] === subtype && /^[0-9]+$/.test(key) === false;
+            });
+            if (name !== undefined) {
+                return name;
+            }
+        }
+        return subtype;
+    };
+
+// The names of the events RfxCom emits for received device packets (i.e. excluding the transceiver's own responses)
+    const receivedPacketEvents = Object.keys(rfxcom.packetNames).filter(function (key) {
+        return /^[0-9]+$/.test(key) && ["control", "status", "response"].indexOf(rfxcom.packetNames[key]) < 0;
+    }).map(function (key) {
+        return rfxcom.packetNames[key];
+    });
+
+// Convert a hexadecimal device ID (e.g. '0x1A2B') to an Array of byteCount bytes, most significant first
+    const idToBytes = function (id, byteCount) {
+        let value = parseInt(String(id), 16);
+        if (isNaN(value)) {
+            throw new Error("invalid device ID '" + id + "'");
+        }
+        const bytes = [];
+        for (let i = 0; i < byteCount; i++) {
+            bytes.unshift(value & 0xff);
+            value = Math.floor(value/256);
+        }
+        return bytes;
+    };
+
+// Build the receive packet (an Array of bytes, with a zero sequence number) which a virtual transceiver sends to report
+// a scripted device event. The event is either a raw packet (a string of hex digits), or describes a lighting remote,
+// a temperature/humidity sensor, or a security detector: the topic has the same form as the topic of the messages
+// sent by the corresponding input node. Throws an Error if the event cannot be encoded
+    const virtualEventPacket = function (event) {
+        if (typeof event.raw === "string") {
+            const bytes = hexToBytes(event.raw);
+            if (bytes === null || bytes.length < 4 || bytes[0] !== bytes.length - 1) {
+                throw new Error("invalid raw packet '" + event.raw + "'");
+            }
+            return bytes;
+        }
+        const parts = stringToParts(event.topic);
+        if (parts.length < 2) {
+            throw new Error("missing or invalid topic '" + event.topic + "'");
+        }
+        const protocol = parts[0].trim().replace(/ +/g, '_').toUpperCase();
+        const command = String(event.command || "").trim().toUpperCase();
+        const signal = ((event.rssi === undefined ? 7 : Number(event.rssi)) & 0x0f) << 4;
+        const battery = (event.battery === undefined ? 9 : Number(event.battery)) & 0x0f;
+        const temperature = function (value) {
+            const tenths = Math.round(Math.abs(Number(value))*10);
+            return [(tenths >> 8) & 0x7f | (Number(value) < 0 ? 0x80 : 0), tenths & 0xff];
+        };
+        let subtype;
+        if (rfxcom.lighting1.hasOwnProperty(protocol)) {
+            const commands = {OFF: 0, ON: 1, DIM: 2, BRIGHT: 3, "GROUP OFF": 5, "GROUP ON": 6, CHIME: 7};
+            if (commands.hasOwnProperty(command) === false || parts.length < 3 || /^[A-P]$/i.test(parts[1]) === false) {
+                throw new Error("invalid lighting event '" + event.topic + ": " + event.command + "'");
+            }
+            subtype = rfxcom.lighting1[protocol];
+            return [0x07, 0x10, subtype, 0, parts[1].toUpperCase().charCodeAt(0), Number(parts[2]), commands[command], signal];
+        } else if (rfxcom.lighting2.hasOwnProperty(protocol)) {
+            const commands = {OFF: 0, ON: 1, LEVEL: 2, "GROUP OFF": 3, "GROUP ON": 4};
+            if (commands.hasOwnProperty(command) === false || parts.length < 3) {
+                throw new Error("invalid lighting event '" + event.topic + ": " + event.command + "'");
+            }
+            subtype = rfxcom.lighting2[protocol];
+            return [0x0b, 0x11, subtype, 0].concat(idToBytes(parts[1], 4),
+                [Number(parts[2]), commands[command], Math.round(15*Number(event.level || 0)) & 0x0f, signal]);
+        } else if (rfxcom.temperatureHumidity1.hasOwnProperty(protocol)) {
+            subtype = rfxcom.temperatureHumidity1[protocol];
+            return [0x0a, 0x52, subtype, 0].concat(idToBytes(parts[1], 2), temperature(event.temperature || 0),
+                [Number(event.humidity || 0), 0, signal | battery]);
+        } else if (rfxcom.temperature1.hasOwnProperty(protocol)) {
+            subtype = rfxcom.temperature1[protocol];
+            return [0x08, 0x50, subtype, 0].concat(idToBytes(parts[1], 2), temperature(event.temperature || 0),
+                [signal | battery]);
+        } else if (rfxcom.humidity1.hasOwnProperty(protocol)) {
+            subtype = rfxcom.humidity1[protocol];
+            return [0x08, 0x51, subtype, 0].concat(idToBytes(parts[1], 2), [Number(event.humidity || 0), 0, signal | battery]);
+        } else if (rfxcom.security1.hasOwnProperty(protocol)) {
+            const status = String(event.status || "").trim().replace(/ +/g, '_').toUpperCase();
+            if (rfxcom.security.hasOwnProperty(status) === false) {
+                throw new Error("invalid security event '" + event.topic + ": " + event.status + "'");
+            }
+            subtype = rfxcom.security1[protocol];
+            let id;
+            if (subtype <= 0x02) {
+                id = idToBytes(parts[1], 2);
+                id = [id[0], 0, id[1]];
+            } else if (subtype === 0x03 || subtype === 0x09) {
+                id = idToBytes(parts[1], 2).concat([0]);
+            } else {
+                id = idToBytes(parts[1], 3);
+            }
+            return [0x08, 0x20, subtype, 0].concat(id, [rfxcom.security[status] | (event.tampered ? 0x80 : 0),
+                signal | battery]);
+        }
+        throw new Error("device type '" + protocol + "' cannot be simulated, use a raw packet");
+    };
+
+// Parse the scripted events of a virtual transceiver (a JSON array), checking that each one can be encoded
+    const parseVirtualEvents = function (script) {
+        let events = [];
+        if (typeof script === "string" && script.trim() !== "") {
+            try {
+                events = JSON.parse(script);
+            } catch (exception) {
+                throw new Error("invalid virtual device events: " + exception.message);
+            }
+        }
+        if (Array.isArray(events) === false) {
+            throw new Error("invalid virtual device events: not an array");
+        }
+        events.forEach(function (event) {
+            virtualEventPacket(event);
+        });
+        return events;
+    };
+
+// Create an object which stands in for a SerialPort, but which simulates an RFXtrx433E so that flows can run without
+// any hardware. It answers the commands sent by RfxCom with simulated status responses, records every transmission and
+// acknowledges it, and reports the scripted device events: each is sent 'delay' seconds after the receiver has started,
+// then (if given) every 'interval' seconds. Further events can be injected with the emitEvent() method
+    const createVirtualPort = function (name, events) {
+        const virtualPort = new EventEmitter();
+        let destination = null, timers = [], receiveSeqnbr = 0;
+        // Receive X10, ARC, AC, HomeEasy, Oregon & PT2262 (Lighting4) messages until told otherwise
+        let protocolBytes = [0x08, 0x00, 0x2f, 0x00];
+
+        virtualPort.isOpen = false;
+        virtualPort.path = name;
+        virtualPort.transmissions = [];
+
+        const reply = function (bytes) {
+            setImmediate(function () {
+                if (virtualPort.isOpen && destination !== null) {
+                    destination.write(Buffer.from(bytes));
+                }
+            });
+        };
+
+        const statusResponse = function (seqnbr, command) {
+            reply([0x14, 0x01, 0x00, seqnbr, command, 0x53, 0x0b].concat(protocolBytes,
+                [0x01, 0x02, 0x1c, 0x03, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]));
+        };
+
+        virtualPort.emitEvent = function (event) {
+            const packet = virtualEventPacket(event);
+            packet[3] = receiveSeqnbr;
+            receiveSeqnbr = (receiveSeqnbr + 1) & 0xff;
+            reply(packet);
+        };
+
+        const startEvents = function () {
+            events.forEach(function (event) {
+                timers.push(setTimeout(function () {
+                    virtualPort.emitEvent(event);
+                    if (Number(event.interval) > 0) {
+                        timers.push(setInterval(function () {
+                            virtualPort.emitEvent(event);
+                        }, 1000*Number(event.interval)));
+                    }
+                }, 1000*(Number(event.delay) || 0)));
+            });
+        };
+
+        const stopEvents = function () {
+            timers.forEach(function (timer) {
+                clearTimeout(timer);
+                clearInterval(timer);
+            });
+            timers = [];
+        };
+
+        virtualPort.pipe = function (parser) {
+            destination = parser;
+            return parser;
+        };
+
+        virtualPort.open = function () {
+            if (virtualPort.isOpen === false) {
+                virtualPort.isOpen = true;
+                setImmediate(function () {
+                    virtualPort.emit("open");
+                });
+            }
+        };
+
+        virtualPort.close = function (callback) {
+            stopEvents();
+            if (virtualPort.isOpen) {
+                virtualPort.isOpen = false;
+                setImmediate(function () {
+                    virtualPort.emit("close");
+                });
+            }
+            if (typeof callback === "function") {
+                callback(null);
+            }
+        };
+
+        // Handle a command packet sent by RfxCom, in the same way as a real transceiver
+        virtualPort.write = function (buffer, callback) {
+            const packet = Array.from(buffer);
+            const seqnbr = packet[3];
+            if (packet[1] === 0x00) {
+                switch (packet[4]) {
+                    case 0x02:  // Get status
+                    case 0x06:  // Save settings
+                        statusResponse(seqnbr, packet[4]);
+                        break;
+                    case 0x03:  // Set mode
+                        protocolBytes = packet.slice(7, 11);
+                        statusResponse(seqnbr, packet[4]);
+                        break;
+                    case 0x07:  // Start receiver
+                        reply([0x14, 0x01, 0x07, seqnbr, 0x07].concat(Array.from(Buffer.from("Copyright RFXCOM"))));
+                        stopEvents();
+                        startEvents();
+                        break;
+                }
+            } else {
+                const packetName = rfxcom.packetNames[packet[1]] || "unknown";
+                virtualPort.transmissions.push({
+                    timestamp: Date.now(),
+                    packetType: packetName,
+                    subtype: subtypeName(packetName, packet[2]),
+                    seqnbr: seqnbr,
+                    data: rfxcom.RfxCom.dumpHex(packet, false).join("")
+                });
+                if (virtualPort.transmissions.length > 200) {
+                    virtualPort.transmissions.shift();
+                }
+                // ACK - transmit OK
+                reply([0x04, 0x02, 0x01, seqnbr, 0x00]);
+            }
+            if (typeof callback === "function") {
+                setImmediate(callback, null);
+            }
+        };
+
+        virtualPort.flush = function (callback) {
+            if (typeof callback === "function") {
+                callback(null);
+            }
+        };
+
+        return virtualPort;
+    };
+
+// Create the RfxCom object for the device described by the config node, connecting either via a serial port, via TCP,
+// or to a virtual transceiver. The device defaults to the primary one named in the config node
+    const createRfxCom = function (rfxtrxPort, device) {
+        const options = (enableAllDebug || rfxtrxPort.enableDebug) ? {debug: true} : {};
+        device = device || rfxtrxPort.port;
+        if (rfxtrxPort.connectionType === "tcp") {
+            const address = parseNetworkAddress(device);
+            if (address === null) {
+                throw new Error("invalid network address '" + device + "', should be host:port");
+            }
+            options.port = createNetworkPort(address.host, address.port);
+        } else if (rfxtrxPort.connectionType === "virtual") {
+            options.port = createVirtualPort(device, parseVirtualEvents(rfxtrxPort.virtualEvents));
+        } else {
+            return new rfxcom.RfxCom(device, options);
+        }
+        const rfxtrx = new rfxcom.RfxCom(device, options);
+        if (rfxtrxPort.connectionType === "virtual") {
+            // There is no USB start-up delay to wait for
+            rfxtrx.initialiseWaitTime = 1000;
+        }
+        options.port.pipe(rfxtrx.parser);
+        return rfxtrx;
+    };
+
+// Close an RfxCom object and discard its event listeners. A network port may still be connecting, so RfxCom.close()
+// would not close it
+    const closeRfxCom = function (rfxtrx) {
+        rfxtrx.close();
+        if (rfxtrx.options.port !== undefined) {
+            rfxtrx.options.port.close();
+        }
+        rfxtrx.removeAllListeners();
+    };
+
+// Find the path of the serial device with the given USB serial number, and pass it to the callback (or null, if
+// there is no such device)
+    const locateSerialNumber = function (serialNumber, callback) {
+        SerialPort.list().then(function (ports) {
+            const found = ports.filter(function (port) {
+                return port.serialNumber === serialNumber;
+            });
+            callback(found.length > 0 ? found[0].path : null);
+        }).catch(function () {
+            callback(null);
+        });
+    };
+
+// The priority of transmissions by each type of transmitter, lower numbers being sent first: alarm system commands
+// (including panic) jump the queue. Anything not listed has normal priority
+    const TX_PRIORITY_HIGH = 0;
+    const TX_PRIORITY_NORMAL = 1;
+    const txPriority = {security1: TX_PRIORITY_HIGH};
+
 // An object maintaining a pool of config nodes
     const rfxcomPool = function () {
         let pool = {};
+        // The inventory of devices heard on each port. Unlike the pool entries, these are kept when the port's nodes
+        // are redeployed
+        let inventories = {};
+        const INVENTORY_LIMIT = 500;
+        // The receiver groups, by name: the pool entries of ports in the same group merge their received packets
+        let receiverGroups = {};
+        // The receivers of the packet being dispatched, while its subscribers' handlers are called (see dispatchGroup)
+        let reception = null;
+
+        // If the config node specifies the receive protocols, compare them with those reported in the status
+        // response, and if they differ send the set-mode command. This is done at most once per connection, as the
+        // set-mode command itself generates a status response. If required, the new set is saved in the device once
+        // that response confirms it has been accepted. The device is either a pool entry, or its secondary device
+        const checkProtocols = function (rfxtrxPort, device, status, node) {
+            if (rfxtrxPort.protocolMode !== "node") {
+                return;
+            }
+            const available = rfxcom.protocols[status.receiverTypeCode];
+            if (typeof available !== "object") {
+                if (device.protocolsChecked === false) {
+                    device.protocolsChecked = true;
+                    node.warn("RFXCOM: receiver type " + status.receiverType + " does not support protocol selection");
+                }
+                return;
+            }
+            const wanted = rfxtrxPort.enabledProtocols.filter(function (name) {
+                return available.hasOwnProperty(name);
+            }).sort();
+            const protocolsMatch = (wanted.join(",") === status.enabledProtocols.slice().sort().join(","));
+            if (device.savePending) {
+                device.savePending = false;
+                if (protocolsMatch) {
+                    node.log("saving receive protocols");
+                    device.rfxtrx.saveRFXProtocols();
+                } else {
+                    node.warn("RFXCOM: transceiver did not accept the receive protocols, not saved");
+                }
+            } else if (device.protocolsChecked === false) {
+                device.protocolsChecked = true;
+                const unsupported = rfxtrxPort.enabledProtocols.filter(function (name) {
+                    return available.hasOwnProperty(name) === false;
+                });
+                if (unsupported.length > 0) {
+                    node.warn("RFXCOM: protocols not supported by " + status.receiverType + ": " + unsupported.join(", "));
+                }
+                if (protocolsMatch === false) {
+                    node.log("enabling receive protocols: " + wanted.join(", "));
+                    device.savePending = rfxtrxPort.saveProtocols;
+                    device.rfxtrx.enableRFXProtocols(wanted.map(function (name) {
+                        return available[name];
+                    }));
+                }
+            }
+        };
+
+        // Make the RfxCom object use a different serial device path the next time it is opened. The SerialPort object
+        // is discarded, so that RfxCom.open() creates a new one for the new path. This is only done while disconnected
+        const rebind = function (entry, devicePath, node) {
+            const rfxtrx = entry.rfxtrx;
+            if (rfxtrx.serialport !== undefined) {
+                rfxtrx.serialport.unpipe(rfxtrx.parser);
+                rfxtrx.serialport.removeAllListeners();
+                rfxtrx.serialport = undefined;
+            }
+            rfxtrx.portEventHandlersInstalled = false;
+            node.log("device " + entry.rfxtrxPort.serialNumber + " moved from " + rfxtrx.device + " to " + devicePath);
+            rfxtrx.device = devicePath;
+        };
+
+        // Return a snapshot of the connection state of a pool entry, as reported by rfx-status nodes
+        const snapshot = function (entry) {
+            const rfxtrx = entry.rfxtrx;
+            return {
+                port:              entry.rfxtrxPort.port,
+                device:            rfxtrx.device,
+                state:             entry.state,
+                connected:         entry.state === "connected",
+                receiverType:      rfxtrx.receiverType || null,
+                firmwareVersion:   rfxtrx.firmwareVersion || null,
+                firmwareType:      rfxtrx.firmwareType || null,
+                enabledProtocols:  rfxtrx.enabledProtocols || null,
+                reconnectAttempts: entry.reconnectAttempts,
+                nextRetry:         rfxtrx.nextRetryTime || null,
+                activeDevice:      (rfxtrx.activeDevice || rfxtrx).device,
+                timestamp:         Date.now()
+            };
+        };
+
+        // Pass the connection state of a pool entry to any nodes which want it
+        const notifyState = function (entry) {
+            const current = snapshot(entry);
+            entry.references.forEach(function (node) {
+                if (typeof node.connectionStateHandler === "function") {
+                    node.connectionStateHandler(current);
+                }
+            });
+        };
+
+        // Record a change in the connection state
+        const setState = function (port, state) {
+            const entry = pool[port];
+            if (entry === undefined || entry.state === state) {
+                return;
+            }
+            entry.state = state;
+            notifyState(entry);
+        };
+
+        // Schedule the next attempt to connect a device - either a pool entry, or its secondary device - unless one is
+        // already scheduled. The delay starts at the initial delay set in the config node, and is multiplied by the
+        // backoff factor after each failed attempt, up to the maximum delay. Once the maximum number of attempts (if
+        // any) have failed, give up, and raise an error on every node using the device
+        const scheduleRetry = function (entry, device, node, connect) {
+            const rfxtrxPort = entry.rfxtrxPort;
+            const rfxtrx = device.rfxtrx;
+            if (device.retryTimer !== null || rfxtrx.reconnectGaveUp) {
+                return;
+            }
+            if (rfxtrxPort.reconnectMaxAttempts > 0 && device.reconnectAttempts >= rfxtrxPort.reconnectMaxAttempts) {
+                const message = "rfxtrx-port: gave up connecting to " + rfxtrx.device +
+                                (device === entry ? "" : " (secondary)") + " after " + device.reconnectAttempts + " attempts";
+                rfxtrx.reconnectGaveUp = true;
+                rfxtrx.nextRetryTime = null;
+                entry.references.forEach(function (node) {
+                    node.error(message, {topic: rfxtrxPort.port, payload: {device: rfxtrx.device,
+                                                                           reconnectAttempts: device.reconnectAttempts}});
+                });
+                if (device === entry) {
+                    entry.state = "failed";
+                }
+            } else {
+                const delay = 1000*Math.min(rfxtrxPort.reconnectDelay*Math.pow(rfxtrxPort.reconnectBackoff, device.reconnectAttempts),
+                                            rfxtrxPort.reconnectMaxDelay);
+                rfxtrx.nextRetryTime = Date.now() + delay;
+                device.retryTimer = setTimeout(function () {
+                    device.retryTimer = null;
+                    rfxtrx.nextRetryTime = null;
+                    device.reconnectAttempts++;
+                    connect();
+                }, delay);
+            }
+            if (device === entry) {
+                entry.references.forEach(function (node) {
+                    showConnectionStatus(node);
+                });
+                notifyState(entry);
+            }
+        };
+
+        // Retry the connection until connectTo() succeeds
+        const retryConnection = function (port, node) {
+            if (pool[port]) {
+                scheduleRetry(pool[port], pool[port], node, function () {
+                    connectTo(port, node);
+                });
+            }
+        };
+
+        // Forget any failed attempts to connect a device, once it has connected
+        const resetRetries = function (device) {
+            if (device.retryTimer !== null) {
+                clearTimeout(device.retryTimer);
+                device.retryTimer = null;
+            }
+            device.reconnectAttempts = 0;
+            device.rfxtrx.nextRetryTime = null;
+            device.rfxtrx.reconnectGaveUp = false;
+        };
+
+        const initialise = function (port, node) {
+            const rfxtrx = pool[port].rfxtrx;
+            //noinspection JSUnusedLocalSymbols
+            rfxtrx.initialise(function (error, response, sequenceNumber) {
+                node.log("connected: " + rfxtrx.device);
+                if (pool[port]) {
+                    resetRetries(pool[port]);
+                }
+                setState(port, "connected");
+                if (pool[port]) {
+                    selectActiveDevice(pool[port], node);
+                }
+            });
+        };
+
+        // Connect to the device. If the config node identifies the device by its USB serial number, first find the
+        // path where it is currently attached: if it has been re-plugged under a different name, rebind to the new
+        // path, and if it is not present, keep looking for it
+        const connectTo = function (port, node) {
+            const entry = pool[port];
+            if (entry.rfxtrxPort.connectionType === "serial" && entry.rfxtrxPort.identifyBy === "serialNumber" &&
+                entry.rfxtrxPort.serialNumber !== "") {
+                // An attempt made while a lookup is in progress is run once that lookup has finished, if it did not
+                // find the device: it may have been plugged in meanwhile
+                if (entry.locating) {
+                    entry.connectRequested = true;
+                    return;
+                }
+                entry.locating = true;
+                entry.connectRequested = false;
+                locateSerialNumber(entry.rfxtrxPort.serialNumber, function (devicePath) {
+                    const requested = entry.connectRequested;
+                    entry.locating = false;
+                    entry.connectRequested = false;
+                    if (pool[port] !== entry || entry.rfxtrx.connected || entry.rfxtrx.initialising) {
+                        return;
+                    }
+                    if (devicePath === null) {
+                        if (entry.deviceMissing === false) {
+                            node.log("waiting for device " + entry.rfxtrxPort.serialNumber + " to be connected");
+                            entry.deviceMissing = true;
+                        }
+                        setState(port, "waiting");
+                        if (requested) {
+                            connectTo(port, node);
+                        } else {
+                            retryConnection(port, node);
+                        }
+                        return;
+                    }
+                    entry.deviceMissing = false;
+                    if (devicePath !== entry.rfxtrx.device) {
+                        rebind(entry, devicePath, node);
+                    }
+                    initialise(port, node);
+                });
+            } else {
+                initialise(port, node);
+            }
+        };
+
+        // Choose the device which transmits & receives for a pool entry: the primary device whenever it is connected,
+        // otherwise the secondary device (if there is one, and it is connected). The nodes only ever see the primary
+        // RfxCom object, which records the choice in its activeDevice property
+        const selectActiveDevice = function (entry, node) {
+            const primary = entry.rfxtrx;
+            let active = primary;
+            if ((primary.connected === false || primary.initialising) && entry.secondary !== null &&
+                entry.secondary.rfxtrx.connected && entry.secondary.rfxtrx.initialising === false) {
+                active = entry.secondary.rfxtrx;
+            }
+            if (active !== (primary.activeDevice || primary)) {
+                node.log("transmitting & receiving via " + (active === primary ? "primary" : "secondary") +
+                         " device " + active.device);
+                primary.activeDevice = active;
+                entry.references.forEach(function (node) {
+                    showConnectionStatus(node);
+                });
+                notifyState(entry);
+            }
+        };
+
+        // Connect the secondary device of a pool entry
+        const connectSecondary = function (entry, node) {
+            const secondary = entry.secondary;
+            if (secondary.rfxtrx.connected || secondary.rfxtrx.initialising) {
+                return;
+            }
+            //noinspection JSUnusedLocalSymbols
+            secondary.rfxtrx.initialise(function (error, response, sequenceNumber) {
+                node.log("connected: " + secondary.rfxtrx.device + " (secondary)");
+                resetRetries(secondary);
+                selectActiveDevice(entry, node);
+            });
+        };
+
+        const retrySecondary = function (entry, node) {
+            scheduleRetry(entry, entry.secondary, node, function () {
+                connectSecondary(entry, node);
+            });
+        };
+
+        // Record every device heard by the pool entry's RfxCom object (or its secondary device) in the port's inventory,
+        // keyed by topic. If the inventory is full, the device heard least recently is forgotten
+        const addInventory = function (entry) {
+            const port = entry.rfxtrxPort.port;
+            if (inventories.hasOwnProperty(port) === false) {
+                inventories[port] = {};
+            }
+            receivedPacketEvents.forEach(function (packetName) {
+                entry.rfxtrx.on(packetName, function (evt) {
+                    if (evt === null || typeof evt !== "object") {
+                        return;
+                    }
+                    const inventory = inventories[port];
+                    const topic = eventTopic(packetName, evt);
+                    const now = Date.now();
+                    let device = inventory[topic];
+                    if (device === undefined) {
+                        const topics = Object.keys(inventory);
+                        if (topics.length >= INVENTORY_LIMIT) {
+                            delete inventory[topics.reduce(function (oldest, key) {
+                                return inventory[key].lastSeen < inventory[oldest].lastSeen ? key : oldest;
+                            })];
+                        }
+                        device = {topic: topic, packetType: packetName, subtype: subtypeName(packetName, evt.subtype),
+                                  firstSeen: now, lastSeen: now, count: 0, rssi: null, battery: null};
+                        inventory[topic] = device;
+                    }
+                    device.lastSeen = now;
+                    device.count = device.count + 1;
+                    if (evt.hasOwnProperty("rssi")) {
+                        device.rssi = evt.rssi;
+                    }
+                    if (evt.hasOwnProperty("batteryLevel")) {
+                        device.battery = evt.batteryLevel;
+                    }
+                });
+            });
+        };
+
+        // Build the index of the subscribers to a packet type (see subscribe below), by the protocol name & device
+        // address of their nodes' topic patterns. Subscribers which want every packet (as they have no patterns, a
+        // pattern with a wildcard protocol, or topics not formed from the packet's address) go in the 'all' list
+        const indexSubscribers = function (subscribers) {
+            const index = {all: [], protocols: {}};
+            subscribers.forEach(function (subscriber) {
+                const include = subscriber.node.topicFilter ? subscriber.node.topicFilter.include : null;
+                if (subscriber.indexed === false || include === null || include.some(function (pattern) {
+                    return pattern.length === 0 || pattern[0] === "+";
+                })) {
+                    index.all.push(subscriber);
+                    return;
+                }
+                include.forEach(function (pattern) {
+                    if (index.protocols.hasOwnProperty(pattern[0]) === false) {
+                        index.protocols[pattern[0]] = {any: [], addresses: {}};
+                    }
+                    const protocol = index.protocols[pattern[0]];
+                    if (pattern.length < 2 || pattern[1] === "+") {
+                        protocol.any.push(subscriber);
+                    } else {
+                        if (protocol.addresses.hasOwnProperty(pattern[1]) === false) {
+                            protocol.addresses[pattern[1]] = [];
+                        }
+                        protocol.addresses[pattern[1]].push(subscriber);
+                    }
+                });
+            });
+            return index;
+        };
+
+        // Pass a received packet to the subscribers which may want it, found by looking up the packet's protocol name
+        // & address in the index. This only narrows down the candidates: each subscriber's handler still forms its
+        // own topic, and checks it against the node's patterns (including the unit code, and excluded addresses). A
+        // packet with an unnamed subtype goes to every subscriber, as nodes name those differently
+        const dispatch = function (dispatcher, table, evt, packetType) {
+            if (dispatcher.index === null) {
+                dispatcher.index = indexSubscribers(dispatcher.subscribers);
+            }
+            let candidates = dispatcher.subscribers;
+            if (evt !== null && typeof evt === "object" && table !== undefined && typeof table[evt.subtype] === "string") {
+                const protocol = dispatcher.index.protocols[normaliseTopicPart(table[evt.subtype], 0)];
+                candidates = dispatcher.index.all;
+                if (protocol !== undefined) {
+                    const address = (evt.houseCode !== undefined) ? evt.houseCode : evt.id;
+                    const addressed = (address !== undefined) ?
+                        protocol.addresses[normaliseTopicPart(String(address), 1)] : undefined;
+                    candidates = candidates.concat(protocol.any, addressed || []).filter(function (subscriber, i, list) {
+                        return list.indexOf(subscriber) === i;
+                    }).sort(function (a, b) {
+                        return a.order - b.order;
+                    });
+                }
+            }
+            // An exception thrown by one subscriber is reported by its node, and does not stop the others. Packets
+            // merged by a receiver group are dispatched from a timer, where it would otherwise stop Node-RED
+            candidates.forEach(function (subscriber) {
+                try {
+                    subscriber.handler(evt, packetType);
+                } catch (exception) {
+                    subscriber.node.error("RFXCOM: error handling " + dispatcher.name + " packet: " +
+                                          (exception instanceof Error ? exception.message : exception));
+                }
+            });
+        };
+
+        // Add a pool entry to its port's receiver group, if it has one. Every packet received by any port in the group
+        // is held for the port's receive window, while the same packet (apart from its sequence number and signal
+        // strength) received by any other port is merged with it. The packet with the best signal is then dispatched
+        // once, to the subscribers of every port in the group
+        const addToReceiverGroup = function (entry) {
+            const name = entry.rfxtrxPort.receiverGroup;
+            if (name === "") {
+                return;
+            }
+            if (receiverGroups.hasOwnProperty(name) === false) {
+                receiverGroups[name] = {entries: [], pending: {}};
+            }
+            const group = receiverGroups[name];
+            group.entries.push(entry);
+            entry.receiverGroup = group;
+            receivedPacketEvents.forEach(function (packetName) {
+                entry.rfxtrx.on(packetName, function (evt, packetType) {
+                    if (evt === null || typeof evt !== "object") {
+                        return;
+                    }
+                    const key = packetName + JSON.stringify(evt, function (name, item) {
+                        return (name === "seqnbr" || name === "rssi") ? undefined : item;
+                    });
+                    const receiver = {port: entry.rfxtrxPort.port, rssi: (evt.rssi !== undefined) ? evt.rssi : null};
+                    let pending = group.pending[key];
+                    if (pending === undefined) {
+                        pending = {packetName: packetName, evt: evt, packetType: packetType, receivers: []};
+                        pending.timer = setTimeout(function () {
+                            delete group.pending[key];
+                            dispatchGroup(group, pending);
+                        }, entry.rfxtrxPort.receiverWindow);
+                        group.pending[key] = pending;
+                    } else if (receiver.rssi !== null && (pending.evt.rssi === undefined || receiver.rssi > pending.evt.rssi)) {
+                        pending.evt = evt;
+                    }
+                    const previous = pending.receivers.find(function (item) {
+                        return item.port === receiver.port;
+                    });
+                    if (previous === undefined) {
+                        pending.receivers.push(receiver);
+                    } else if (receiver.rssi !== null && receiver.rssi > previous.rssi) {
+                        previous.rssi = receiver.rssi;
+                    }
+                });
+            });
+        };
+
+        // Dispatch a merged packet to the subscribers of every port in the receiver group, with the receivers which
+        // heard it (best signal first) available to them through reception()
+        const dispatchGroup = function (group, pending) {
+            reception = {
+                receivers: pending.receivers.sort(function (a, b) {
+                    return (b.rssi || 0) - (a.rssi || 0);
+                })
+            };
+            try {
+                group.entries.forEach(function (entry) {
+                    const dispatcher = entry.dispatchers[pending.packetName];
+                    if (dispatcher !== undefined) {
+                        dispatch(dispatcher, dispatcher.table, pending.evt, pending.packetType);
+                    }
+                });
+            } finally {
+                reception = null;
+            }
+        };
+
+        // Remove a pool entry from its receiver group, forgetting the group (and its held packets) once it is empty
+        const removeFromReceiverGroup = function (entry) {
+            const group = entry.receiverGroup;
+            if (group === null) {
+                return;
+            }
+            group.entries.splice(group.entries.indexOf(entry), 1);
+            if (group.entries.length === 0) {
+                Object.keys(group.pending).forEach(function (key) {
+                    clearTimeout(group.pending[key].timer);
+                });
+                delete receiverGroups[entry.rfxtrxPort.receiverGroup];
+            }
+        };
+
+        // Create the RfxCom object for the secondary device named in the config node. While it is the active device,
+        // transmissions from the transmit queue are sent to it instead (see sendNextTransmission), and its received packets are
+        // re-emitted by the primary object, so that the listeners of input nodes need not move
+        const addSecondary = function (entry, node) {
+            const rfxtrxPort = entry.rfxtrxPort;
+            const primary = entry.rfxtrx;
+            const secondary = createRfxCom(rfxtrxPort, rfxtrxPort.secondaryPort);
+            entry.secondary = {rfxtrx: secondary, retryTimer: null, reconnectAttempts: 0,
+                               protocolsChecked: false, savePending: false};
+
+            const isActive = function () {
+                return primary.activeDevice === secondary;
+            };
+            // The response to a transmission sent via the secondary device is passed on even if the primary device
+            // has taken over since, so that its sender is told the outcome
+            const isForwarded = function (event, args) {
+                return isActive() || (event === "response" && primary.transmitQueue.sentTo[args[1]] === secondary);
+            };
+            primary.nextMessageSequenceNumber = function () {
+                return isActive() ? secondary.nextMessageSequenceNumber() :
+                    rfxcom.RfxCom.prototype.nextMessageSequenceNumber.call(primary);
+            };
+            ["receive", "response"].concat(receivedPacketEvents).forEach(function (event) {
+                secondary.on(event, function () {
+                    const args = Array.prototype.slice.call(arguments);
+                    if (isForwarded(event, args)) {
+                        primary.emit.apply(primary, [event].concat(args));
+                    } else if (event === "response" && args[2] > 1) {
+                        // Responses to transmissions from the nodes are reported by the primary object
+                        node.warn("RFXCOM: " + args[0] + " (" + args[2] + ", secondary)");
+                    }
+                });
+            });
+
+            secondary.on("connecting", function () {
+                node.log("connecting to " + secondary.device + " (secondary)");
+                entry.secondary.protocolsChecked = false;
+                entry.secondary.savePending = false;
+            });
+            secondary.on("connectfailed", function (msg) {
+                if (entry.secondary.reconnectAttempts === 0) {
+                    node.log("connect failed: " + msg + " (secondary)");
+                }
+                retrySecondary(entry, node);
+            });
+            secondary.on("status", function (status) {
+                secondary.receiverType = status.receiverType;
+                secondary.firmwareVersion = status.firmwareVersion;
+                secondary.firmwareType = status.firmwareType;
+                secondary.enabledProtocols = status.enabledProtocols;
+                checkProtocols(rfxtrxPort, entry.secondary, status, node);
+            });
+            secondary.on("disconnect", function (msg) {
+                node.log("disconnected: " + msg + " (secondary)");
+                failTransmissions(entry.rfxtrx, secondary, "disconnected");
+                selectActiveDevice(entry, node);
+                retrySecondary(entry, node);
+            });
+            connectSecondary(entry, node);
+        };
 
-        const connectTo = function (rfxtrx, node) {
-            //noinspection JSUnusedLocalSymbols
-            rfxtrx.initialise(function (error, response, sequenceNumber) {
-                node.log("connected: Serial port " + rfxtrx.device);
-                if (pool[rfxtrx.device].intervalTimer !== null) {
-                    clearInterval(pool[rfxtrx.device].intervalTimer);
-                    pool[rfxtrx.device].intervalTimer = null;
+        // Refresh the status of the nodes to show the transmit queue, at most a few times a second
+        const showQueueStatus = function (entry) {
+            const txq = entry.rfxtrx.transmitQueue;
+            if (txq.statusTimer === null) {
+                txq.statusTimer = setTimeout(function () {
+                    txq.statusTimer = null;
+                    entry.references.forEach(function (node) {
+                        showConnectionStatus(node);
+                    });
+                }, 250);
+            }
+        };
+
+        // Take the highest-priority transmission from the queue, and pass it to the active device (which has its own
+        // queue, handling the ACK responses). Then wait for the inter-frame gap before sending the next one
+        const sendNextTransmission = function (entry) {
+            const rfxtrx = entry.rfxtrx;
+            const txq = rfxtrx.transmitQueue;
+            if (txq.timer !== null) {
+                return;
+            }
+            const level = txq.levels.find(function (level) {
+                return level.length > 0;
+            });
+            if (level === undefined) {
+                if (txq.dropped > 0) {
+                    txq.dropped = 0;
+                    showQueueStatus(entry);
+                }
+                return;
+            }
+            const waitTime = txq.lastSent + entry.rfxtrxPort.txGap - Date.now();
+            if (waitTime > 0) {
+                txq.timer = setTimeout(function () {
+                    txq.timer = null;
+                    sendNextTransmission(entry);
+                }, waitTime);
+                return;
+            }
+            const job = level.shift();
+            const device = rfxtrx.activeDevice || rfxtrx;
+            txq.lastSent = Date.now();
+            if (device.connected) {
+                if (txq.pending.hasOwnProperty(job.seqnbr)) {
+                    txq.sentTo[job.seqnbr] = device;
+                }
+                rfxcom.RfxCom.prototype.queueMessage.call(device, job.sender, job.buffer, job.seqnbr, job.callback);
+            } else {
+                acknowledgeTransmission(rfxtrx, job.seqnbr, null, "transceiver not connected");
+            }
+            showQueueStatus(entry);
+            if (entry.rfxtrxPort.txGap > 0) {
+                txq.timer = setTimeout(function () {
+                    txq.timer = null;
+                    sendNextTransmission(entry);
+                }, entry.rfxtrxPort.txGap);
+            } else {
+                sendNextTransmission(entry);
+            }
+        };
+
+        // Record the outcome of a transmission being tracked by acknowledge() (below): the response code sent by the
+        // transceiver, or null if the transmission was never sent. The tracker keeps the first failure, otherwise the
+        // last success, and calls its callback once every transmission has an outcome. Returns false if the
+        // transmission is not being tracked
+        const acknowledgeTransmission = function (rfxtrx, seqnbr, responseCode, message) {
+            const txq = rfxtrx.transmitQueue;
+            const tracker = txq.pending[seqnbr];
+            if (tracker === undefined) {
+                return false;
+            }
+            delete txq.pending[seqnbr];
+            delete txq.sentTo[seqnbr];
+            tracker.remaining--;
+            if (tracker.result === null || tracker.result.ack) {
+                tracker.result = {
+                    seqnbr: seqnbr,
+                    responseCode: responseCode,
+                    ack: responseCode === rfxcom.responseCode.OK || responseCode === rfxcom.responseCode.TX_DELAYED,
+                    message: message
+                };
+            }
+            if (tracker.remaining === 0 && tracker.callback !== null) {
+                tracker.callback(tracker.result);
+            }
+            return true;
+        };
+
+        // Fail the tracked transmissions which have been passed to device (the RfxCom object or its secondary), or
+        // every tracked transmission if device is null, as they will never get a response: RfxCom.close() discards the
+        // transmissions in its own queue
+        const failTransmissions = function (rfxtrx, device, message) {
+            const txq = rfxtrx.transmitQueue;
+            Object.keys(txq.pending).forEach(function (seqnbr) {
+                if (device === null || txq.sentTo[seqnbr] === device) {
+                    acknowledgeTransmission(rfxtrx, Number(seqnbr), null, message);
                 }
             });
         };
 
+        // Add a transmission to the transmit queue. If the queue is full, discard either the oldest or the newest
+        // transmission of the lowest priority present (which may be the one just added)
+        const queueTransmission = function (entry, job, node) {
+            const rfxtrxPort = entry.rfxtrxPort;
+            const txq = entry.rfxtrx.transmitQueue;
+            txq.levels[job.priority].push(job);
+            if (transmitQueueDepth(txq) > rfxtrxPort.txQueueLimit) {
+                let level = txq.levels.length - 1;
+                while (txq.levels[level].length === 0) {
+                    level--;
+                }
+                const dropped = (rfxtrxPort.txDropPolicy === "newest") ? txq.levels[level].pop() : txq.levels[level].shift();
+                if (txq.dropped === 0) {
+                    node.warn("RFXCOM: transmit queue full, dropping the " + rfxtrxPort.txDropPolicy + " commands");
+                }
+                txq.dropped++;
+                if (typeof dropped.callback === "function") {
+                    dropped.callback(new Error("dropped from the transmit queue"), null, dropped.seqnbr);
+                }
+                acknowledgeTransmission(entry.rfxtrx, dropped.seqnbr, null, "dropped from the transmit queue");
+            }
+            sendNextTransmission(entry);
+            showQueueStatus(entry);
+        };
+
+        // Route the transmissions from the transmitters (those created by the output nodes) through the transmit
+        // queue. Commands sent by the RfxCom object itself go straight to the device
+        const addTransmitQueue = function (entry, node) {
+            const rfxtrx = entry.rfxtrx;
+            rfxtrx.transmitQueue = {levels: [[], []], timer: null, statusTimer: null, lastSent: 0, dropped: 0,
+                                    limit: entry.rfxtrxPort.txQueueLimit, dropPolicy: entry.rfxtrxPort.txDropPolicy,
+                                    tracker: null, pending: {}, sentTo: {}};
+            rfxtrx.queueMessage = function (sender, buffer, seqnbr, callback) {
+                const txq = rfxtrx.transmitQueue;
+                // The 8-bit sequence number has wrapped round to a transmission which never had a response
+                if (txq.pending.hasOwnProperty(seqnbr)) {
+                    acknowledgeTransmission(rfxtrx, seqnbr, null, "no response from the transceiver");
+                }
+                if (sender === rfxtrx) {
+                    return rfxcom.RfxCom.prototype.queueMessage.call(rfxtrx, sender, buffer, seqnbr, callback);
+                }
+                if (txq.tracker !== null) {
+                    txq.tracker.remaining++;
+                    txq.pending[seqnbr] = txq.tracker;
+                }
+                queueTransmission(entry, {
+                    sender: sender, buffer: buffer, seqnbr: seqnbr, callback: callback,
+                    priority: txPriority.hasOwnProperty(sender.packetType) ? txPriority[sender.packetType] : TX_PRIORITY_NORMAL
+                }, node);
+            };
+        };
+
         return {
             get: function (node, rfxtrxPort) {
                 // Returns the RfxCom object associated with port, or creates a new RfxCom object,
                 // associates it with the port, and returns it. 'rfxtrxPort' is the config node holding
-                // the device file path to the pseudo-serialport, e.g. '/dev/tty.usb-123456'
+                // the device file path to the pseudo-serialport, e.g. '/dev/tty.usb-123456', or the
+                // network address of a TCP serial server, e.g. '192.168.1.20:10001'. Returns null if
+                // the RfxCom object cannot be created
                 let rfxtrx;
                 const port = rfxtrxPort.port;
                 if (!pool[port]) {
-                    rfxtrx = new rfxcom.RfxCom(port, (enableAllDebug || rfxtrxPort.enableDebug) ? {debug: true} : {});
+                    try {
+                        rfxtrx = createRfxCom(rfxtrxPort);
+                    } catch (exception) {
+                        node.error("rfxtrx-port: " + exception.message);
+                        return null;
+                    }
                     rfxtrx.on("connecting", function () {
                         node.log("connecting to " + port);
+                        pool[port].protocolsChecked = false;
+                        pool[port].savePending = false;
                         pool[port].references.forEach(function (node) {
                             node.status({fill:"yellow",shape:"dot",text:"connecting..."});
                         });
+                        setState(port, "connecting");
                     });
                     rfxtrx.on("connectfailed", function (msg) {
-                        if (pool[rfxtrx.device].intervalTimer === null) {
+                        if (pool[port].reconnectAttempts === 0) {
                             node.log("connect failed: " + msg);
-                            pool[rfxtrx.device].intervalTimer = setInterval(function () {
-                                connectTo(rfxtrx, node)
-                            }, rfxtrx.initialiseWaitTime);
                         }
+                        setState(port, "disconnected");
+                        retryConnection(port, node);
                     });
                     rfxtrx.on("status", function (status) {
+                        // The library does not keep these: they are needed by the /rfxcom/protocols endpoint (for the
+                        // rfxtrx-port editor), and by the rfx-status node
                         rfxtrx.receiverType = status.receiverType;
                         rfxtrx.firmwareVersion = status.firmwareVersion;
                         rfxtrx.firmwareType = status.firmwareType;
@@ -88,9 +1283,11 @@ module.exports = function (RED) {
                         pool[port].references.forEach(function (node) {
                                 showConnectionStatus(node);
                             });
+                        checkProtocols(rfxtrxPort, pool[port], status, node);
                     });
                     rfxtrx.on("response", function (message, seqnbr, responseCode) {
-                        if (responseCode > 1) {
+                        // Failures of tracked transmissions are reported by the node which sent them
+                        if (acknowledgeTransmission(rfxtrx, seqnbr, responseCode, message) === false && responseCode > 1) {
                             node.warn("RFXCOM: " + message + " (" + responseCode + ")");
                         }
                     });
@@ -107,36 +1304,157 @@ module.exports = function (RED) {
                     });
                     rfxtrx.on("disconnect", function (msg) {
                         node.log("disconnected: " + msg);
+                        failTransmissions(rfxtrx, rfxtrx, "disconnected");
                         pool[port].references.forEach(function (node) {
                                 showConnectionStatus(node);
                             });
-                        if (pool[rfxtrx.device].intervalTimer === null) {
-                            pool[rfxtrx.device].intervalTimer = setInterval(function () {
-                                connectTo(rfxtrx, node)
-                            }, rfxtrx.initialiseWaitTime);
-                        }
+                        setState(port, "disconnected");
+                        selectActiveDevice(pool[port], node);
+                        retryConnection(port, node);
                     });
-                    pool[port] = {rfxtrx: rfxtrx, references: [], intervalTimer: null};
+                    pool[port] = {rfxtrx: rfxtrx, rfxtrxPort: rfxtrxPort, references: [], retryTimer: null,
+                                  protocolsChecked: false, savePending: false, locating: false, connectRequested: false,
+                                  deviceMissing: false, state: "disconnected", reconnectAttempts: 0, secondary: null,
+                                  dispatchers: {}, subscriptionCount: 0, receiverGroup: null};
+                    addTransmitQueue(pool[port], node);
+                    addInventory(pool[port]);
+                    addToReceiverGroup(pool[port]);
+                    if (rfxtrxPort.secondaryPort !== "") {
+                        try {
+                            addSecondary(pool[port], node);
+                        } catch (exception) {
+                            node.error("rfxtrx-port: secondary " + exception.message);
+                        }
+                    }
                 } else {
                     rfxtrx = pool[port].rfxtrx;
                 }
                 if (rfxtrx.connected === false && rfxtrx.initialising === false) {
-                    connectTo(rfxtrx, node);
+                    connectTo(port, node);
                 }
                 // Maintain a reference count for each RfxCom object
                 pool[port].references.push(node);
                 return pool[port].rfxtrx;
             },
+            find: function (port) {
+                // Returns the RfxCom object associated with port, or null if there is none
+                return pool[port] ? pool[port].rfxtrx : null;
+            },
+            acknowledge: function (node, transmit, callback) {
+                // Calls transmit(), which queues zero or more transmissions using the transmitters of node.rfxtrx,
+                // then passes the outcome to the callback once the transceiver has responded to all of them: an
+                // object {seqnbr, responseCode, ack, message}, or null if nothing was transmitted
+                const txq = node.rfxtrx.transmitQueue;
+                const tracker = {remaining: 0, result: null, callback: null};
+                txq.tracker = tracker;
+                try {
+                    transmit();
+                } finally {
+                    txq.tracker = null;
+                }
+                if (tracker.remaining === 0) {
+                    callback(tracker.result);
+                } else {
+                    tracker.callback = callback;
+                }
+            },
+            state: function (port) {
+                // Returns a snapshot of the connection state of the RfxCom object associated with port
+                return pool[port] ? snapshot(pool[port]) : null;
+            },
+            inventory: function (port) {
+                // Returns the devices heard on port, most recently heard first
+                const inventory = inventories[port] || {};
+                return Object.keys(inventory).map(function (topic) {
+                    return Object.assign({}, inventory[topic]);
+                }).sort(function (a, b) {
+                    return b.lastSeen - a.lastSeen;
+                });
+            },
+            clearInventory: function (port) {
+                // Forget the devices heard on port
+                if (inventories.hasOwnProperty(port)) {
+                    inventories[port] = {};
+                }
+            },
+            subscribe: function (node, packetName, handler, indexed) {
+                // Calls handler(evt, packetType) for the packets of the given type received on the node's port which
+                // may match the node's topic patterns. The handler must still check the topic. If indexed is false,
+                // the handler is called for every packet of the type (for nodes whose topics are not formed from the
+                // packet's protocol & address)
+                const entry = pool[node.rfxtrxPort.port];
+                if (entry === undefined) {
+                    return;
+                }
+                if (entry.dispatchers.hasOwnProperty(packetName) === false) {
+                    const dispatcher = {name: packetName, subscribers: [], index: null, table: packetTable(packetName)};
+                    dispatcher.listener = function (evt, packetType) {
+                        // Packets received by a port in a receiver group are dispatched once merged
+                        if (entry.receiverGroup === null) {
+                            dispatch(dispatcher, dispatcher.table, evt, packetType);
+                        }
+                    };
+                    entry.dispatchers[packetName] = dispatcher;
+                    entry.rfxtrx.on(packetName, dispatcher.listener);
+                }
+                const dispatcher = entry.dispatchers[packetName];
+                entry.subscriptionCount = entry.subscriptionCount + 1;
+                dispatcher.subscribers.push({node: node, handler: handler, indexed: indexed !== false,
+                                             order: entry.subscriptionCount});
+                dispatcher.index = null;
+            },
+            unsubscribe: function (node) {
+                // Remove all the node's subscriptions
+                const entry = node.rfxtrxPort ? pool[node.rfxtrxPort.port] : undefined;
+                if (entry === undefined) {
+                    return;
+                }
+                Object.keys(entry.dispatchers).forEach(function (packetName) {
+                    const dispatcher = entry.dispatchers[packetName];
+                    dispatcher.subscribers = dispatcher.subscribers.filter(function (subscriber) {
+                        return subscriber.node !== node;
+                    });
+                    dispatcher.index = null;
+                    if (dispatcher.subscribers.length === 0) {
+                        entry.rfxtrx.removeListener(packetName, dispatcher.listener);
+                        delete entry.dispatchers[packetName];
+                    }
+                });
+            },
+            reception: function () {
+                // Returns {receivers: [{port, rssi}]} while a packet merged by a receiver group is being dispatched,
+                // otherwise null
+                return reception;
+            },
+            reindex: function (node) {
+                // Rebuild the indexes once the node's topic patterns have changed
+                const entry = node.rfxtrxPort ? pool[node.rfxtrxPort.port] : undefined;
+                if (entry !== undefined) {
+                    Object.keys(entry.dispatchers).forEach(function (packetName) {
+                        entry.dispatchers[packetName].index = null;
+                    });
+                }
+            },
             release: function (node, port) {
                 // Decrement the reference count, and delete the RfxCom object if the count goes to 0
                 if (pool[port]) {
                     pool[port].references.splice(pool[port].references.indexOf(node), 1);
                     if (pool[port].references.length <= 0) {
-                        pool[port].rfxtrx.close();
-                        pool[port].rfxtrx.removeAllListeners();
-                        if (pool[port].intervalTimer !== null) {
-                            clearInterval(pool[port].intervalTimer);
-                            pool[port].intervalTimer = null;
+                        clearTimeout(pool[port].rfxtrx.transmitQueue.timer);
+                        clearTimeout(pool[port].rfxtrx.transmitQueue.statusTimer);
+                        failTransmissions(pool[port].rfxtrx, null, "disconnected");
+                        removeFromReceiverGroup(pool[port]);
+                        closeRfxCom(pool[port].rfxtrx);
+                        if (pool[port].retryTimer !== null) {
+                            clearTimeout(pool[port].retryTimer);
+                            pool[port].retryTimer = null;
+                        }
+                        if (pool[port].secondary !== null) {
+                            closeRfxCom(pool[port].secondary.rfxtrx);
+                            if (pool[port].secondary.retryTimer !== null) {
+                                clearTimeout(pool[port].secondary.retryTimer);
+                                pool[port].secondary.retryTimer = null;
+                            }
                         }
                         delete pool[port].rfxtrx;
                         delete pool[port];
@@ -146,6 +1464,135 @@ module.exports = function (RED) {
         }
     }();
 
+// Admin endpoint for the rfxtrx-port editor: returns the names of the receive protocols supported by the transceiver
+// on the given port, and those currently enabled, if it is connected. Otherwise returns the RFXtrx433 protocol names
+    RED.httpAdmin.get("/rfxcom/protocols", RED.auth.needsPermission("rfxtrx-port.read"), function (req, res) {
+        const rfxtrx = rfxcomPool.find(req.query.port);
+        if (rfxtrx !== null && rfxtrx.connected && typeof rfxcom.protocols[rfxtrx.receiverTypeCode] === "object") {
+            res.json({
+                receiverType:     rfxtrx.receiverType,
+                protocols:        Object.keys(rfxcom.protocols[rfxtrx.receiverTypeCode]).sort(),
+                enabledProtocols: rfxtrx.enabledProtocols || null
+            });
+        } else {
+            res.json({
+                receiverType:     null,
+                protocols:        Object.keys(rfxcom.protocols[0x53]).sort(),
+                enabledProtocols: null
+            });
+        }
+    });
+
+// Admin endpoints for the inventory of devices heard on a port: GET returns them, most recently heard first, and DELETE
+// clears the inventory
+    RED.httpAdmin.get("/rfxcom/inventory", RED.auth.needsPermission("rfxtrx-port.read"), function (req, res) {
+        res.json({devices: rfxcomPool.inventory(req.query.port)});
+    });
+
+    RED.httpAdmin.delete("/rfxcom/inventory", RED.auth.needsPermission("rfxtrx-port.write"), function (req, res) {
+        rfxcomPool.clearInventory(req.query.port);
+        res.sendStatus(204);
+    });
+
+// Admin endpoints for testing with a virtual transceiver: GET returns the transmissions it has recorded, and POST
+// makes it report a device event (or an array of them) given in the request body, in the same form as the scripted
+// events of the config node
+    const findVirtualPort = function (port) {
+        const rfxtrx = rfxcomPool.find(port);
+        if (rfxtrx !== null && rfxtrx.options.port !== undefined && typeof rfxtrx.options.port.emitEvent === "function") {
+            return rfxtrx.options.port;
+        }
+        return null;
+    };
+
+    RED.httpAdmin.get("/rfxcom/virtual", RED.auth.needsPermission("rfxtrx-port.read"), function (req, res) {
+        const virtualPort = findVirtualPort(req.query.port);
+        if (virtualPort === null) {
+            res.status(404).json({error: "no virtual transceiver '" + req.query.port + "'"});
+        } else {
+            res.json({transmissions: virtualPort.transmissions});
+        }
+    });
+
+    RED.httpAdmin.post("/rfxcom/virtual", RED.auth.needsPermission("rfxtrx-port.write"), function (req, res) {
+        const virtualPort = findVirtualPort(req.query.port);
+        if (virtualPort === null) {
+            res.status(404).json({error: "no virtual transceiver '" + req.query.port + "'"});
+            return;
+        }
+        try {
+            (Array.isArray(req.body) ? req.body : [req.body]).forEach(function (event) {
+                virtualPort.emitEvent(event);
+            });
+            res.sendStatus(204);
+        } catch (exception) {
+            res.status(400).json({error: exception.message});
+        }
+    });
+
+// The directory of persistent (by-id) serial device links maintained by udev on Linux
+    const SERIAL_BY_ID_DIR = "/dev/serial/by-id";
+
+// Return a map from each serial device path to its persistent /dev/serial/by-id link, if it has one (Linux only)
+    const listSerialByIdLinks = function () {
+        let links = {};
+        try {
+            fs.readdirSync(SERIAL_BY_ID_DIR).forEach(function (name) {
+                const link = path.join(SERIAL_BY_ID_DIR, name);
+                try {
+                    links[fs.realpathSync(link)] = link;
+                } catch (ignore) {
+                    // A dangling link - the device has just been unplugged
+                }
+            });
+        } catch (ignore) {
+            // No such directory - not Linux, or no USB serial devices present
+        }
+        return links;
+    };
+
+// Check if a serial port, as listed by SerialPort.list(), looks like an RFXCOM transceiver. These use an FTDI USB
+// interface chip (vendor ID 0403), with the manufacturer string set to RFXCOM and the product to RFXtrx433, which
+// also appear in the pnpId and the by-id link name
+    const FTDI_VENDOR_ID = "0403";
+    const isRfxcomDevice = function (port, byId) {
+        const text = [port.manufacturer, port.pnpId, port.serialNumber, byId].join(" ");
+        return String(port.vendorId || "").toLowerCase() === FTDI_VENDOR_ID && /RFXCOM|RFXtrx/i.test(text);
+    };
+
+// Admin endpoint for the rfxtrx-port editor: lists the candidate serial devices, with their persistent by-id link
+// (where there is one), USB identification, and an indication of whether they appear to be RFXCOM devices
+    RED.httpAdmin.get("/rfxcom/serialports", RED.auth.needsPermission("rfxtrx-port.read"), function (req, res) {
+        SerialPort.list().then(function (ports) {
+            const links = listSerialByIdLinks();
+            const candidates = ports.map(function (port) {
+                let byId = links[port.path] || null;
+                if (byId === null && port.pnpId && fs.existsSync(path.join(SERIAL_BY_ID_DIR, port.pnpId))) {
+                    byId = path.join(SERIAL_BY_ID_DIR, port.pnpId);
+                }
+                return {
+                    path:         port.path,
+                    byId:         byId,
+                    manufacturer: port.manufacturer || null,
+                    serialNumber: port.serialNumber || null,
+                    vendorId:     port.vendorId || null,
+                    productId:    port.productId || null,
+                    rfxcom:       isRfxcomDevice(port, byId)
+                };
+            });
+            // Put the most likely candidates first
+            candidates.sort(function (a, b) {
+                if (a.rfxcom !== b.rfxcom) {
+                    return a.rfxcom ? -1 : 1;
+                }
+                return a.path < b.path ? -1 : (a.path > b.path ? 1 : 0);
+            });
+            res.json(candidates);
+        }).catch(function (err) {
+            res.status(500).json({error: err.toString()});
+        });
+    });
+
     const releasePort = function (node) {
         // Decrement the reference count on the node port
         if (node.rfxtrxPort) {
@@ -194,98 +1641,618 @@ module.exports = function (RED) {
         }
     };
 
+// Normalise one part of a topic, given its position: the protocol name is upper case with no spaces, the ID is
+// hexadecimal (or a house code letter), the group code is a letter or decimal, and the unit code is decimal
+    const normaliseTopicPart = function (part, index) {
+        part = part.trim();
+        if (index === 0) {
+            return part.replace(/ +/g, '_').toUpperCase();
+        } else if (index <= 2 && /^[A-Z]$/i.test(part)) {
+            // handle houseCodes (X10, ARC, etc) and Blyss groupcodes as a special case
+            return parseInt(part, 36);
+        } else if (index === 1) {
+            // ID is always in hexadecimal
+            return parseInt(part, 16);
+        } else {
+            // unitcodes always decimal
+            return parseInt(part, 10);
+        }
+    };
+
+// A group or unit code which stands for all units of the device
+    const ALL_UNITS = /^0+$|all|group|^\+$/i;
+
 // Convert a string - the rawTopic - into a normalised form (an Array) so that checkTopic() can easily compare
-// a topic against a pattern
-    const normaliseTopic = function (rawTopic) {
+// a topic against a pattern. If a device registry is given, rawTopic may also be the friendly name of a device
+    const normaliseTopic = function (rawTopic, registry) {
+        rawTopic = deviceTopic(registry, rawTopic);
         if (rawTopic === undefined || typeof rawTopic !== "string") {
             return [];
         }
         let parts = stringToParts(rawTopic);
-        if (parts.length >= 1) {
-            parts[0] = parts[0].trim().replace(/ +/g, '_').toUpperCase();
+        for (let i = 0; i < parts.length && i < 4; i++) {
+            if (i >= 2 && ALL_UNITS.test(parts[i])) {
+                return parts.slice(0, i);
+            }
+            parts[i] = normaliseTopicPart(parts[i], i);
+        }
+        // The return is always [ string, number, number, number ] - all parts optional
+        return parts;
+    };
+
+// Return the topic of a decoded event of the given packet type, in the same form as the topics of the dedicated input
+// nodes: the subtype name, then the device address (ID or house code), group code, and unit code, where the event has
+// them. A subtype with no name is shown as e.g. 'LIGHTING5_UNKNOWN'
+    const eventTopic = function (packetName, evt) {
+        let name = subtypeName(packetName, evt.subtype);
+        if (typeof name !== "string") {
+            name = packetName.toUpperCase() + "_UNKNOWN";
+        }
+        return [name, evt.houseCode !== undefined ? evt.houseCode : evt.id, evt.groupCode, evt.unitCode]
+            .filter(function (part) {
+                return part !== undefined && part !== null && part !== "";
+            }).join("/");
+    };
+
+// Check if the supplied topic starts with the given pattern (both being normalised). A '+' in the pattern matches any
+// one part of the topic
+    const checkTopic = function (parts, pattern) {
+        for (let i = 0; i < pattern.length; i++) {
+            if (pattern[i] === "+" ? i >= parts.length : parts[i] !== pattern[i]) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+// Compile a comma-separated list of topic patterns (or device names) into an Array of patterns for checkTopic(). As in
+// MQTT, '+' matches any one part of the topic and a final '#' matches the rest, though as a pattern matches every topic
+// which starts with it, 'AC/0x0123' is the same as 'AC/0x0123/#'. Patterns are normalised like topics, unless raw is
+// true (for PT2262 device names). Invalid patterns are skipped with a warning
+    const compileTopicPatterns = function (node, patterns, raw) {
+        const result = [];
+        if (typeof patterns !== "string") {
+            return result;
+        }
+        patterns.split(",").forEach(function (pattern) {
+            pattern = pattern.trim();
+            if (pattern === "") {
+                return;
+            }
+            let parts = stringToParts(deviceTopic(node.registry, pattern)).map(function (part) {
+                return part.trim();
+            });
+            const hash = parts.indexOf("#");
+            if (hash >= 0 && hash < parts.length - 1) {
+                node.warn("RFXCOM: invalid topic pattern '" + pattern + "' ('#' must be last), ignored");
+                return;
+            }
+            while (parts.length > 0 && (parts[parts.length - 1] === "#" || parts[parts.length - 1] === "+")) {
+                parts.pop();
+            }
+            if (raw !== true) {
+                for (let i = 0; i < parts.length && i < 4; i++) {
+                    if (i >= 2 && parts[i] !== "+" && ALL_UNITS.test(parts[i])) {
+                        parts = parts.slice(0, i);
+                    } else if (parts[i] !== "+") {
+                        parts[i] = normaliseTopicPart(parts[i], i);
+                        if (typeof parts[i] === "number" && isNaN(parts[i])) {
+                            node.warn("RFXCOM: invalid topic pattern '" + pattern + "', ignored");
+                            return;
+                        }
+                    }
+                }
+            }
+            result.push(parts);
+        });
+        return result;
+    };
+
+// Compile the topic filter of an input node: the patterns of the topics to include (null for all topics, if the
+// node's topicSource is 'all' or it has no patterns), and the patterns of the topics to exclude from those
+    const compileTopicFilter = function (node, n, raw) {
+        const all = n.topicSource === "all" || typeof n.topic !== "string" || n.topic.trim() === "";
+        return {
+            include: all ? null : compileTopicPatterns(node, n.topic, raw),
+            exclude: compileTopicPatterns(node, n.topicExclude, raw),
+            raw:     raw === true
+        };
+    };
+
+// Check if an input node should pass on a message with the given topic parts (normalised, unless the node's patterns
+// are raw)
+    const topicSelected = function (node, parts) {
+        const matches = function (pattern) {
+            return checkTopic(parts, pattern);
+        };
+        return (node.topicFilter.include === null || node.topicFilter.include.some(matches)) &&
+            node.topicFilter.exclude.some(matches) === false;
+    };
+
+// Return the number of transmissions waiting in a transmit queue
+    const transmitQueueDepth = function (txq) {
+        return txq.levels.reduce(function (total, level) {
+            return total + level.length;
+        }, 0);
+    };
+
+// Show the connection status of the node depending on its underlying rfxtrx object, or on the secondary device if
+// that is standing in for it
+    const showConnectionStatus = function (node) {
+        const active = node.rfxtrx.activeDevice || node.rfxtrx;
+        if (active.connected === false) {
+            if (node.rfxtrx.reconnectGaveUp) {
+                node.status({fill: "red", shape: "ring", text: "disconnected (gave up)"});
+            } else if (node.rfxtrx.nextRetryTime) {
+                node.status({fill: "red", shape: "ring",
+                    text: "disconnected, retry at " + new Date(node.rfxtrx.nextRetryTime).toTimeString().slice(0, 8)});
+            } else {
+                node.status({fill: "red", shape: "ring", text: "disconnected"});
+            }
+        } else {
+            let fill = "green";
+            let text = "OK (v" + active.firmwareVersion + " " + active.firmwareType + ")";
+            if (active !== node.rfxtrx) {
+                fill = "yellow";
+                text = "secondary (v" + active.firmwareVersion + " " + active.firmwareType + ")";
+            }
+            // Output nodes also show the transmit queue, while it is in use
+            const txq = node.rfxtrx.transmitQueue;
+            if (txq !== undefined && /-out$/.test(node.type)) {
+                const depth = transmitQueueDepth(txq);
+                if (depth > 0 || txq.dropped > 0) {
+                    text = text + " queue " + depth + "/" + txq.limit + ", drop " + txq.dropPolicy;
+                }
+                if (txq.dropped > 0) {
+                    fill = "yellow";
+                    text = text + " (" + txq.dropped + " dropped)";
+                }
+            }
+            node.status({fill: fill, shape: "dot", text: text});
+        }
+    };
+
+// Purge retransmission timers associated with this node and delete them to avoid leaking memory
+    const purgeTimers = function (node) {
+           let tx = {};
+           for (tx in node.retransmissions) {
+               if (node.retransmissions.hasOwnProperty(tx)) {
+                   node.clearRetransmission(node.retransmissions[tx]);
+                   delete node.retransmissions[tx];
+               }
+           }
+       };
+
+// Split the patterns of a subscription control message (a comma-separated list, or an Array of them) into an Array
+    const subscriptionPatterns = function (patterns) {
+        return [].concat(patterns).join(",").split(",").map(function (pattern) {
+            return pattern.trim();
+        }).filter(function (pattern) {
+            return pattern !== "";
+        });
+    };
+
+// If enabled, let an input node change the address patterns it listens to through input messages: {subscribe: patterns}
+// adds patterns, {unsubscribe: patterns} removes them, and {list: true} sends the current subscriptions in
+// msg.payload. Listening to all addresses is the subscription '#'. The subscriptions are kept in the node context
+// together with the configured patterns they started from, so they survive a restart (if the context store is
+// persistent) but not a change to the configuration. If a handler is given, every input message is also passed to it
+// (for control messages specific to the node), whether or not the subscriptions can be changed
+    const onSubscriptionInput = function (node, n, handler) {
+        const enabled = n.controlInput === true;
+        if (enabled === false && handler === undefined) {
+            return;
+        }
+        const configured = (node.topicFilter.include === null) ? "#" : n.topic;
+        // Patterns are compared in their compiled form, so 'th1/0x8e01' is the same subscription as 'TH1/0x8E01'
+        const compiled = function (pattern) {
+            return JSON.stringify(compileTopicPatterns(node, pattern, node.topicFilter.raw));
+        };
+        const apply = function () {
+            node.topicFilter.include = compileTopicPatterns(node, node.subscriptions.join(","), node.topicFilter.raw);
+            rfxcomPool.reindex(node);
+        };
+        // The context is read & written with callbacks, as not every context store supports synchronous access.
+        // Until the saved patterns have been read the node uses the configured ones, and if they are changed by an
+        // input message meanwhile, the saved patterns are ignored
+        let changedBeforeLoad = false;
+        const update = function () {
+            changedBeforeLoad = true;
+            apply();
+            node.context().set("subscriptions", {configured: configured, patterns: node.subscriptions}, function (err) {
+                if (err) {
+                    node.warn("RFXCOM: cannot save subscriptions: " + err.message);
+                }
+            });
+        };
+        if (enabled) {
+            node.subscriptions = subscriptionPatterns(configured);
+            apply();
+            node.context().get("subscriptions", function (err, saved) {
+                if (err) {
+                    node.warn("RFXCOM: cannot read subscriptions: " + err.message);
+                } else if (changedBeforeLoad === false && saved && saved.configured === configured &&
+                           Array.isArray(saved.patterns)) {
+                    node.subscriptions = saved.patterns;
+                    apply();
+                }
+            });
+        }
+        node.on("input", function (msg, send, done) {
+            send = send || function () {
+                node.send.apply(node, arguments);
+            };
+            done = done || function (err) {
+                if (err) {
+                    node.error(err, msg);
+                }
+            };
+            if (enabled) {
+                let changed = false;
+                if (msg.subscribe !== undefined) {
+                    subscriptionPatterns(msg.subscribe).forEach(function (pattern) {
+                        const key = compiled(pattern);
+                        if (key !== "[]" && node.subscriptions.map(compiled).indexOf(key) < 0) {
+                            node.subscriptions.push(pattern);
+                            changed = true;
+                        }
+                    });
+                }
+                if (msg.unsubscribe !== undefined) {
+                    const keys = subscriptionPatterns(msg.unsubscribe).map(compiled);
+                    const remaining = node.subscriptions.filter(function (pattern) {
+                        return keys.indexOf(compiled(pattern)) < 0;
+                    });
+                    changed = changed || remaining.length !== node.subscriptions.length;
+                    node.subscriptions = remaining;
+                }
+                if (changed) {
+                    update();
+                }
+                if (msg.list === true) {
+                    msg.payload = node.subscriptions.slice();
+                    send(msg);
+                }
+            }
+            if (handler !== undefined) {
+                handler(msg);
+            }
+            done();
+        });
+    };
+
+// Register the input handler of an output node. The handler sends commands using the node's transmitters: once the
+// transceiver has responded to them, the message is passed to the acknowledgement output (if the node has one) with
+// the outcome in msg.rfxcom, and done() is called - with an error if any command was not acknowledged
+    const onTransmitInput = function (node, handler) {
+        node.on("input", function (msg, send, done) {
+            send = send || function () {
+                node.send.apply(node, arguments);
+            };
+            done = done || function (err) {
+                if (err) {
+                    node.error(err, msg);
+                }
+            };
+            rfxcomPool.acknowledge(node, function () {
+                handler(msg);
+            }, function (result) {
+                if (result === null) {
+                    done();
+                    return;
+                }
+                msg.rfxcom = {seqnbr: result.seqnbr, responseCode: result.responseCode, ack: result.ack};
+                if (node.ackOutput) {
+                    send(msg);
+                }
+                if (result.ack) {
+                    done();
+                } else {
+                    done(new Error("RFXCOM: " + result.message + (result.responseCode !== null ? " (" + result.responseCode + ")" : "")));
+                }
+            });
+        });
+    };
+
+// Format payload text based on the node setting. Must be called from a node object context
+    const sendFormatted = function (msg) {
+        if (this) {
+            if (typeof msg.payload === "string") {
+                if (this.payloadFormat === "UPPER_CASE") {
+                    msg.payload = msg.payload.toUpperCase();
+                } else if (this.payloadFormat === "LOWER_CASE") {
+                    msg.payload = msg.payload.toLowerCase()
+                }
+            }
+            sendReceived(this, msg);
+        };
+    };
+
+// Most remotes and sensors send each frame several times. If the node has a repeatWindow (ms), send the message only
+// if it differs from the previous message with the same topic, or that was more than repeatWindow ms earlier: each
+// repeat restarts the window. If the node has countRepeats set, the message is instead held until the window ends, then
+// sent with the number of frames received in msg.repeats. Messages without a topic (unrecognised PT2262 codes) are
+// identified by their raw data. The receive sequence number, signal strength, and timestamp are ignored when comparing
+// payloads. A message which is not a repeat is passed to deliver() (if given) before it is sent, and is only sent if
+// that returns true
+    const sendUnlessRepeated = function (node, msg, deliver) {
+        const send = function (msg) {
+            if (deliver === undefined || deliver(msg)) {
+                node.send(msg);
+            }
+        };
+        if (!(node.repeatWindow > 0)) {
+            send(msg);
+            return;
+        }
+        if (node.repeats === undefined) {
+            node.repeats = {};
+        }
+        const key = (msg.topic !== undefined) ? String(msg.topic) : JSON.stringify(msg.raw && msg.raw.data);
+        const value = JSON.stringify(msg.payload, function (name, item) {
+            return (name === "seqnbr" || name === "rssi" || name === "timestamp") ? undefined : item;
+        });
+        const now = Date.now();
+        const release = function (entry) {
+            entry.timer = null;
+            entry.msg.repeats = entry.count;
+            send(entry.msg);
+            if (node.repeats[key] === entry) {
+                delete node.repeats[key];
+            }
+        };
+        let last = node.repeats[key];
+        if (last !== undefined && last.value === value && now - last.time < node.repeatWindow) {
+            last.time = now;
+            last.count = last.count + 1;
+            if (last.timer !== null) {
+                clearTimeout(last.timer);
+                last.timer = setTimeout(release, node.repeatWindow, last);
+            }
+            return;
+        }
+        if (last !== undefined && last.timer !== null) {
+            clearTimeout(last.timer);
+            release(last);
+        }
+        last = {value: value, time: now, count: 1, msg: msg, timer: null};
+        node.repeats[key] = last;
+        if (node.countRepeats) {
+            last.timer = setTimeout(release, node.repeatWindow, last);
+        } else {
+            send(msg);
+        }
+    };
+
+// Commands which report a device is on/active, or off/inactive: the state of a structured payload
+    const STATE_TRUE = /^(on|group on|light on|motion|alarm|smoke|panic|open)$/i;
+    const STATE_FALSE = /^(off|group off|light off|no motion|normal|cancel panic|close)$/i;
+
+// Convert a message from an input node to the structured payload format: a single schema for all input nodes, with the
+// device protocol, ID & unit taken from the topic. Command strings such as 'Dim 53.3%' or 'Set 50%, 90 deg' are split
+// into the command and its level (0 - 1), or the position (0 - 1) and angle (degrees) of a blind. Object payloads (such
+// as sensor measurements) are kept as the values. Properties which do not apply to the message are null
+    const structuredPayload = function (msg) {
+        const parts = stringToParts(msg.topic);
+        const status = msg.status || {};
+        const payload = {
+            protocol:  parts.length > 0 ? parts[0] : null,
+            id:        parts.length > 1 ? parts[1] : null,
+            unit:      null,
+            command:   null,
+            state:     null,
+            level:     null,
+            position:  null,
+            angle:     null,
+            values:    null,
+            rssi:      (status.rssi !== undefined) ? status.rssi : null,
+            battery:   (status.battery !== undefined) ? status.battery : null,
+            timestamp: Date.now()
+        };
+        if (parts.length === 3) {
+            payload.unit = /^[0-9]+$/.test(parts[2]) ? parseInt(parts[2], 10) : parts[2];
+        } else if (parts.length > 3) {
+            payload.unit = parts.slice(2).join("/");
+        }
+        if (typeof msg.payload === "string") {
+            let match = /^(.*?)\s*(-?[0-9.]+)\s*%(?:,\s*(-?[0-9.]+)\s*deg)?$/i.exec(msg.payload);
+            if (match !== null) {
+                payload.command = match[1];
+                if (/^set$/i.test(match[1])) {
+                    payload.position = Number(match[2])/100;
+                    payload.angle = (match[3] !== undefined) ? Number(match[3]) : null;
+                } else {
+                    payload.level = Number(match[2])/100;
+                }
+            } else if ((match = /^(.*?)\s*(-?[0-9.]+)\s*deg$/i.exec(msg.payload)) !== null) {
+                payload.command = match[1];
+                payload.angle = Number(match[2]);
+            } else {
+                payload.command = msg.payload;
+            }
+        } else if (typeof msg.payload === "number") {
+            payload.values = {value: msg.payload};
+        } else if (msg.payload !== null && typeof msg.payload === "object") {
+            if (typeof msg.payload.command === "string") {
+                payload.command = msg.payload.command;
+            }
+            payload.values = msg.payload;
+        }
+        if (payload.command !== null) {
+            payload.state = STATE_TRUE.test(payload.command) ? true : (STATE_FALSE.test(payload.command) ? false : null);
         }
-        if (parts.length >= 2) {
-            // handle houseCodes as a special case (X10, ARC, etc)
-            if (/^[A-Z]$/i.test(parts[1])) {
-                parts[1] = parseInt(parts[1].trim(), 36);
+        return payload;
+    };
+
+// Return the minimum signal level accepted with a squelch level: messages at or below the level are ignored, except
+// with level 0, which accepts all messages
+    const squelchMinimum = function (level) {
+        return (level > 0) ? level + 1 : 0;
+    };
+
+// Parse the squelch level overrides of an input node: a comma-separated list of 'topic=level' entries, each giving the
+// squelch level for the matching devices (messages at or below the level are ignored, as for the node's own level).
+// Returns an Array of {pattern, minimum} (minimum signal level accepted), most specific pattern first. Invalid entries
+// are reported, and ignored
+    const parseSquelchOverrides = function (node, overrides) {
+        const result = [];
+        String(overrides || "").split(",").forEach(function (entry) {
+            if (entry.trim() === "") {
+                return;
+            }
+            const match = /^\s*([^=]+?)\s*=\s*([0-9]+)\s*$/.exec(entry);
+            if (match === null) {
+                node.warn("RFXCOM: invalid squelch level override '" + entry.trim() + "', ignored");
             } else {
-                // ID is always in hexadecimal
-                parts[1] = parseInt(parts[1].trim(), 16);
+                result.push({pattern: normaliseTopic(match[1]), minimum: squelchMinimum(parseInt(match[2]))});
+            }
+        });
+        return result.sort(function (a, b) {
+            return b.pattern.length - a.pattern.length;
+        });
+    };
+
+// Return true if the signal strength of a message received by an input node is at or below the squelch level of the
+// first override matching the message topic or, if there is none, the node's squelch level (0 accepts all messages)
+    const isSquelched = function (node, msg) {
+        if (msg.status === undefined || typeof msg.status.rssi !== "number") {
+            return false;
+        }
+        let minimum = squelchMinimum(node.squelchLevel);
+        if (Array.isArray(node.squelchOverrides) && typeof msg.topic === "string") {
+            const topic = normaliseTopic(msg.topic);
+            const override = node.squelchOverrides.find(function (entry) {
+                return checkTopic(topic, entry.pattern);
+            });
+            if (override !== undefined) {
+                minimum = override.minimum;
             }
         }
-        if (parts.length >= 3) {
-            if (/^0+$|all|group|^\+$/i.test(parts[2])) {
-                return parts.slice(0, 2);
+        return msg.status.rssi < minimum;
+    };
+
+// Parse the deadbands of a node reporting by exception: a comma-separated list of 'quantity=deadband' entries, e.g.
+// 'temperature=0.2, humidity=2'. A quantity may be a path such as 'wind.speed', and '*' sets the deadband of quantities
+// not listed. Deadbands are compared with the payload, so are in the node's output units (after any unit conversion
+// by an rfx-sensor node). Returns an object mapping quantities to deadbands. Invalid entries are reported, and ignored
+    const parseDeadbands = function (node, deadbands) {
+        const result = {};
+        String(deadbands || "").split(",").forEach(function (entry) {
+            if (entry.trim() === "") {
+                return;
             }
-            // handle Blyss groupcodes as a special case
-            if (/^[A-Z]$/i.test(parts[2])) {
-                parts[2] = parseInt(parts[2].trim(), 36);
+            const match = /^\s*([A-Za-z0-9_.*]+)\s*=\s*([0-9]*\.?[0-9]+)\s*$/.exec(entry);
+            if (match === null) {
+                node.warn("RFXCOM: invalid deadband '" + entry.trim() + "', ignored");
             } else {
-                // unitcodes always decimal
-                parts[2] = parseInt(parts[2].trim(), 10);
+                result[match[1]] = Number(match[2]);
             }
+        });
+        return result;
+    };
+
+// Return true if a message from a node reporting by exception should be sent: if it is the first from its topic, if any
+// measurement (a {value, unit} object in the payload) has changed from the last one sent by at least its deadband, if
+// anything else in the payload has changed, or if nothing has been sent for the topic for the maximum silence time.
+// The raw Cartelectronic readings (also given as measurements) are not compared as 'anything else'
+    const RAW_MEASUREMENT_KEYS = ["value", "valeur", "puissanceApparente", "tensionMoyenne"];
+    const isReportable = function (node, msg) {
+        const values = {};
+        const collect = function (item, path) {
+            Object.keys(item).forEach(function (key) {
+                const child = item[key];
+                if (child !== null && typeof child === "object") {
+                    if (Array.isArray(child) === false && child.hasOwnProperty("value")) {
+                        values[path + key] = child.value;
+                    } else {
+                        collect(child, path + key + ".");
+                    }
+                }
+            });
+        };
+        if (msg.payload !== null && typeof msg.payload === "object") {
+            collect(msg.payload, "");
         }
-        if (parts.length >= 4) {
-            if (/^0+$|all|group|^\+$/i.test(parts[3])) {
-                return parts.slice(0, 3);
-            }
-            // Blyss unitcodes always decimal
-            parts[3] = parseInt(parts[3].trim(), 10);
+        const others = JSON.stringify(msg.payload, function (name, item) {
+            return RAW_MEASUREMENT_KEYS.indexOf(name) >= 0 ? undefined : item;
+        });
+        const now = Date.now();
+        const last = node.reported[msg.topic];
+        const changed = function (path) {
+            // The quantity name is the last part of the path, ignoring Array indexes (as in 'counter.1')
+            const quantity = path.split(".").filter(function (part) {
+                return /^[0-9]+$/.test(part) === false;
+            }).pop();
+            const deadband = [path, quantity, "*"].reduce(function (found, key) {
+                return (found === undefined && node.deadbands.hasOwnProperty(key)) ? node.deadbands[key] : found;
+            }, undefined) || 0;
+            const previous = [].concat(last.values[path]);
+            return [].concat(values[path]).some(function (value, i) {
+                if (typeof value !== "number" || typeof previous[i] !== "number") {
+                    return value !== previous[i];
+                }
+                // Allow for rounding error: 20.2 - 20.0 is 0.1999...
+                const difference = Math.abs(value - previous[i]);
+                return difference > 0 && difference >= deadband - 1e-9*Math.max(Math.abs(value), 1);
+            });
+        };
+        if (last === undefined || last.others !== others || (node.maxSilence > 0 && now - last.time >= node.maxSilence) ||
+            Object.keys(values).some(changed)) {
+            node.reported[msg.topic] = {values: values, others: others, time: now};
+            return true;
         }
-        // The return is always [ string, number, number, number ] - all parts optional
-        return parts;
-    };
-
-// Normalise the supplied topic and check if it starts with the given pattern
-    const normaliseAndCheckTopic = function (topic, pattern) {
-        return checkTopic(normaliseTopic(topic), pattern);
+        return false;
     };
 
-// Check if the supplied topic starts with the given pattern (both being normalised)
-    const checkTopic = function (parts, pattern) {
-        for (let i = 0; i < pattern.length; i++) {
-            if (parts[i] !== pattern[i]) {
+// Send a message from an input node, unless its signal is too weak, it repeats the previous message, or it has not
+// changed enough (for nodes reporting by exception). The optional complete(msg) is called only for messages which are
+// neither squelched nor repeats, to add anything which must be counted once per message. The payload is converted if
+// the node uses the structured format. If the packet was merged by a receiver group, the receivers which heard it are
+// added to msg.status. If the device is in the registry, its entry is added to the message, and its friendly name may
+// replace the topic
+    const sendReceived = function (node, msg, complete) {
+        if (isSquelched(node, msg)) {
+            return;
+        }
+        const reception = rfxcomPool.reception();
+        if (reception !== null) {
+            msg.status = Object.assign({}, msg.status, {
+                receivers: reception.receivers.map(function (receiver) {
+                    return Object.assign({}, receiver);
+                })
+            });
+        }
+        sendUnlessRepeated(node, msg, function (msg) {
+            if (typeof complete === "function") {
+                complete(msg);
+            }
+            if (node.reportByException === true && isReportable(node, msg) === false) {
                 return false;
             }
-        }
-        return true;
+            if (node.payloadFormat === "STRUCTURED") {
+                msg.payload = structuredPayload(msg);
+            }
+            const entry = (node.registry && msg.topic !== undefined) ? node.registry.lookup(msg.topic) : undefined;
+            if (entry !== undefined) {
+                msg.device = {name: entry.name, room: entry.room, type: entry.type, topic: entry.topic};
+                if (node.nameAsTopic && entry.name !== "") {
+                    msg.topic = entry.name;
+                }
+            }
+            return true;
+        });
     };
 
-// Show the connection status of the node depending on its underlying rfxtrx object
-    const showConnectionStatus = function (node) {
-        if (node.rfxtrx.connected === false) {
-            node.status({fill: "red", shape: "ring", text: "disconnected"});
-        } else {
-            node.status({fill: "green", shape: "dot",
-                text: "OK (v" + node.rfxtrx.firmwareVersion + " " + node.rfxtrx.firmwareType + ")"});
+// Discard any messages held by sendUnlessRepeated(), when the node is closed
+    const clearRepeats = function (node) {
+        if (node.repeats !== undefined) {
+            Object.keys(node.repeats).forEach(function (key) {
+                clearTimeout(node.repeats[key].timer);
+            });
+            node.repeats = {};
         }
     };
 
-// Purge retransmission timers associated with this node and delete them to avoid leaking memory
-    const purgeTimers = function (node) {
-           let tx = {};
-           for (tx in node.retransmissions) {
-               if (node.retransmissions.hasOwnProperty(tx)) {
-                   node.clearRetransmission(node.retransmissions[tx]);
-                   delete node.retransmissions[tx];
-               }
-           }
-       };
-
-// Format payload text based on the node setting. Must be called from a node object context
-    const sendFormatted = function (msg) {
-        if (this) {
-            if (typeof msg.payload === "string") {
-                if (this.payloadFormat === "UPPER_CASE") {
-                    msg.payload = msg.payload.toUpperCase();
-                } else if (this.payloadFormat === "LOWER_CASE") {
-                    msg.payload = msg.payload.toLowerCase()
-                }
-            }
-            this.send(msg);
-        };
-    };
-
 
 // The config node holding the PT2262 deviceList object
 function RfxPT2262DeviceList(n) {
@@ -312,9 +2279,16 @@ RED.nodes.registerType("raw-device-list", RfxRawDeviceList);
         RED.nodes.createNode(this, n);
         this.port = n.port;
         this.topicSource = n.topicSource;
-        this.topic = normaliseTopic(n.topic);
+        this.registry = deviceRegistry(n.port);
+        this.topicFilter = compileTopicFilter(this, n);
+        onSubscriptionInput(this, n);
+        this.nameAsTopic = n.nameAsTopic || false;
         this.payloadFormat = n.payloadFormat || "TITLE_CASE";
         this.name = n.name;
+        this.repeatWindow = parseInt(n.repeatWindow) || 0;
+        this.countRepeats = n.countRepeats || false;
+        this.squelchLevel = parseInt(n.squelchLevel) || 0;
+        this.squelchOverrides = parseSquelchOverrides(this, n.squelchOverrides);
         this.rfxtrxPort = RED.nodes.getNode(this.port);
 
         const node = this;
@@ -327,7 +2301,7 @@ RED.nodes.registerType("raw-device-list", RfxRawDeviceList);
             } else {
                 msg.topic = msg.topic + "/" + evt.unitCode;
             }
-            if (node.topicSource === "all" || normaliseAndCheckTopic(msg.topic, node.topic)) {
+            if (topicSelected(node, normaliseTopic(msg.topic))) {
                 switch (evt.commandNumber) {
                     case 0 :
                     case 5 :
@@ -365,7 +2339,7 @@ RED.nodes.registerType("raw-device-list", RfxRawDeviceList);
             } else {
                 msg.topic = msg.topic + "/" + evt.unitCode;
             }
-            if (node.topicSource === "all" || normaliseAndCheckTopic(msg.topic, node.topic)) {
+            if (topicSelected(node, normaliseTopic(msg.topic))) {
                 switch (evt.commandNumber) {
                     case 0:
                     case 3:
@@ -400,7 +2374,7 @@ RED.nodes.registerType("raw-device-list", RfxRawDeviceList);
             } else {
                 msg.topic = msg.topic + "/" + evt.unitCode;
             }
-            if (node.topicSource === "all" || normaliseAndCheckTopic(msg.topic, node.topic)) {
+            if (topicSelected(node, normaliseTopic(msg.topic))) {
                 switch (evt.subtype) {
                     case 0: // Lightwave RF
                         switch (evt.commandNumber) {
@@ -504,7 +2478,7 @@ RED.nodes.registerType("raw-device-list", RfxRawDeviceList);
             } else {
                 msg.topic = msg.topic + "/" + evt.unitCode;
             }
-            if (node.topicSource === "all" || normaliseAndCheckTopic(msg.topic, node.topic)) {
+            if (topicSelected(node, normaliseTopic(msg.topic))) {
                 switch (evt.commandNumber) {
                     case 1:
                     case 3:
@@ -552,7 +2526,7 @@ RED.nodes.registerType("raw-device-list", RfxRawDeviceList);
                         return;
 
                 }
-                if (node.topicSource === "all" || normaliseAndCheckTopic(msg.topic, node.topic)) {
+                if (topicSelected(node, normaliseTopic(msg.topic))) {
                     node.sendFormatted(msg);
                 }
             }
@@ -570,7 +2544,7 @@ RED.nodes.registerType("raw-device-list", RfxRawDeviceList);
                         return;
 
                 }
-                if (node.topicSource === "all" || normaliseAndCheckTopic(msg.topic, node.topic)) {
+                if (topicSelected(node, normaliseTopic(msg.topic))) {
                     node.sendFormatted(msg);
                 }
             }
@@ -587,7 +2561,7 @@ RED.nodes.registerType("raw-device-list", RfxRawDeviceList);
             } else if (msg.payload === "Set level") {
                 msg.payload = msg.payload + " " + evt.level + "%";
             }
-            if (node.topicSource === "all" || normaliseAndCheckTopic(msg.topic, node.topic)) {
+            if (topicSelected(node, normaliseTopic(msg.topic))) {
                 node.sendFormatted(msg);
             }
         };
@@ -611,7 +2585,7 @@ RED.nodes.registerType("raw-device-list", RfxRawDeviceList);
                     return;
 
             }
-            if (node.topicSource === "all" || normaliseAndCheckTopic(msg.topic, node.topic)) {
+            if (topicSelected(node, normaliseTopic(msg.topic))) {
                 node.sendFormatted(msg);
             }
         };
@@ -620,26 +2594,18 @@ RED.nodes.registerType("raw-device-list", RfxRawDeviceList);
             if (node.rfxtrx !== null) {
                 showConnectionStatus(node);
                 node.on("close", function () {
-                    if (node.rfxtrx) {
-                        node.rfxtrx.removeListener("lighting1", node.lighting1Handler);
-                        node.rfxtrx.removeListener("lighting2", node.lighting2Handler);
-                        node.rfxtrx.removeListener("lighting5", node.lighting5Handler);
-                        node.rfxtrx.removeListener("lighting6", node.lighting6Handler);
-                        node.rfxtrx.removeListener("security1", node.security1Handler);
-                        node.rfxtrx.removeListener("hunterfan", node.hunterFanHandler);
-                        node.rfxtrx.removeListener("edisio", this.edisioHandler);
-                        node.rfxtrx.removeListener("fan", node.fanHandler);
-                    }
+                    rfxcomPool.unsubscribe(node);
+                    clearRepeats(node);
                     releasePort(node);
                 });
-                node.rfxtrx.on("lighting1", this.lighting1Handler);
-                node.rfxtrx.on("lighting2", this.lighting2Handler);
-                node.rfxtrx.on("lighting5", this.lighting5Handler);
-                node.rfxtrx.on("lighting6", this.lighting6Handler);
-                node.rfxtrx.on("security1", this.security1Handler);
-                node.rfxtrx.on("hunterfan", this.hunterFanHandler);
-                node.rfxtrx.on("edisio", this.edisioHandler);
-                node.rfxtrx.on("fan", this.fanHandler);
+                rfxcomPool.subscribe(node, "lighting1", this.lighting1Handler);
+                rfxcomPool.subscribe(node, "lighting2", this.lighting2Handler);
+                rfxcomPool.subscribe(node, "lighting5", this.lighting5Handler);
+                rfxcomPool.subscribe(node, "lighting6", this.lighting6Handler);
+                rfxcomPool.subscribe(node, "security1", this.security1Handler, false);
+                rfxcomPool.subscribe(node, "hunterfan", this.hunterFanHandler);
+                rfxcomPool.subscribe(node, "edisio", this.edisioHandler);
+                rfxcomPool.subscribe(node, "fan", this.fanHandler);
             }
         } else {
             node.error("missing config: rfxtrx-port");
@@ -653,29 +2619,35 @@ RED.nodes.registerType("raw-device-list", RfxRawDeviceList);
         RED.nodes.createNode(this, n);
         this.port = n.port;
         this.topicSource = n.topicSource || "all";
-        this.topic = stringToParts(n.topic);
+        this.registry = deviceRegistry(n.port);
+        this.topicFilter = compileTopicFilter(this, {topicSource: this.topicSource, topic: n.topic,
+            topicExclude: n.topicExclude}, true);
+        onSubscriptionInput(this, n);
+        this.nameAsTopic = n.nameAsTopic || false;
+        this.payloadFormat = n.payloadFormat || "DEFAULT";
         this.name = n.name;
+        this.repeatWindow = parseInt(n.repeatWindow) || 0;
+        this.countRepeats = n.countRepeats || false;
         this.devices = RED.nodes.getNode(n.deviceList).devices || [];
         this.ignoreUnmatched = n.ignoreUnmatched || false;
         this.squelchLevel = parseInt(n.squelchLevel) || 0;
+        this.squelchOverrides = parseSquelchOverrides(this, n.squelchOverrides);
         this.rfxtrxPort = RED.nodes.getNode(this.port);
 
         const node = this;
         this.lighting4Handler = function (evt) {
-            if (evt.rssi > node.squelchLevel) {
-                let msg = {status: {rssi: evt.rssi}};
-                let db = node.devices.filter(function (entry) {return parseInt(entry.rawData) === parseInt(evt.data)});
-                if (db.length === 0) {
-                    if (node.ignoreUnmatched === false) {
-                        msg.raw = {data: evt.data, pulseWidth: evt.pulseWidth};
-                        node.send(msg);
-                    }
-                } else {
-                    if (node.topicSource === "all" || checkTopic(db[0].device, node.topic)) {
-                        msg.topic = db[0].device.join("/");
-                        msg.payload = db[0].payload;
-                        node.send(msg);
-                    }
+            let msg = {status: {rssi: evt.rssi}};
+            let db = node.devices.filter(function (entry) {return parseInt(entry.rawData) === parseInt(evt.data)});
+            if (db.length === 0) {
+                if (node.ignoreUnmatched === false) {
+                    msg.raw = {data: evt.data, pulseWidth: evt.pulseWidth};
+                    sendReceived(node, msg);
+                }
+            } else {
+                if (topicSelected(node, db[0].device)) {
+                    msg.topic = db[0].device.join("/");
+                    msg.payload = db[0].payload;
+                    sendReceived(node, msg);
                 }
             }
         };
@@ -685,12 +2657,11 @@ RED.nodes.registerType("raw-device-list", RfxRawDeviceList);
             if (node.rfxtrx !== null) {
                 showConnectionStatus(node);
                 node.on("close", function () {
-                    if (node.rfxtrx) {
-                        node.rfxtrx.removeListener("lighting4", node.lighting4Handler);
-                    }
+                    rfxcomPool.unsubscribe(node);
+                    clearRepeats(node);
                     releasePort(node);
                 });
-                node.rfxtrx.on("lighting4", this.lighting4Handler);
+                rfxcomPool.subscribe(node, "lighting4", this.lighting4Handler, false);
             }
         } else {
             node.error("missing config: rfxtrx-port");
@@ -704,11 +2675,13 @@ function RfxPT2262OutNode(n) {
     RED.nodes.createNode(this, n);
     this.port = n.port;
     this.topicSource = n.topicSource || "msg";
-    this.topic = stringToParts(n.topic);
+    this.registry = deviceRegistry(n.port);
+    this.topic = stringToParts(deviceTopic(this.registry, n.topic));
     this.retransmit = n.retransmit || "none";
     this.retransmitInterval = n.retransmitInterval || 20;
     this.devices = RED.nodes.getNode(n.deviceList).devices || [];
     this.name = n.name;
+    this.ackOutput = n.ackOutput || false;
     this.rfxtrxPort = RED.nodes.getNode(this.port);
 
     const node = this;
@@ -736,13 +2709,13 @@ function RfxPT2262OutNode(n) {
                 purgeTimers(node);
                 releasePort(node);
             });
-            node.on("input", function (msg) {
+            onTransmitInput(node, function (msg) {
                 let db, topic, lastCommand, rawData = null, pulseWidth = null;
                 // Get the topic from either the node or the message
                 if (node.topicSource === "node" && node.topic !== undefined) {
                     topic = node.topic;
                 } else if (msg.topic !== undefined) {
-                    topic = stringToParts(msg.topic);
+                    topic = stringToParts(deviceTopic(node.registry, msg.topic));
                 }
                 if (topic !== undefined && msg.payload !== undefined) {
                     // Lookup the topic/payload combination in the device list
@@ -811,11 +2784,13 @@ function RfxRawOutNode(n) {
     RED.nodes.createNode(this, n);
     this.port = n.port;
     this.topicSource = n.topicSource || "msg";
-    this.topic = stringToParts(n.topic);
+    this.registry = deviceRegistry(n.port);
+    this.topic = stringToParts(deviceTopic(this.registry, n.topic));
     this.retransmit = n.retransmit || "none";
     this.retransmitInterval = n.retransmitInterval || 20;
     this.devices = RED.nodes.getNode(n.deviceList).devices || [];
     this.name = n.name;
+    this.ackOutput = n.ackOutput || false;
     this.rfxtrxPort = RED.nodes.getNode(this.port);
 
     const node = this;
@@ -843,13 +2818,13 @@ function RfxRawOutNode(n) {
                 purgeTimers(node);
                 releasePort(node);
             });
-            node.on("input", function (msg) {
+            onTransmitInput(node, function (msg) {
                 let db, topic, lastCommand, pulseTimes = null, repeats = null;
                 // Get the topic from either the node or the message
                 if (node.topicSource === "node" && node.topic !== undefined) {
                     topic = node.topic;
                 } else if (msg.topic !== undefined) {
-                    topic = stringToParts(msg.topic);
+                    topic = stringToParts(deviceTopic(node.registry, msg.topic));
                 }
                 if (topic !== undefined && msg.payload !== undefined) {
                     // Lookup the topic/payload combination in the device list
@@ -916,29 +2891,221 @@ function RfxRawOutNode(n) {
 
 RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
 
+// The units rfx-sensor can output each kind of measurement in. The first is the unit the RFXtrx433 reports, and the
+// others give the factor & offset to convert from it, and the number of decimal places to round the result to
+    const SENSOR_UNITS = {
+        temperature: {
+            "degC":  null,
+            "degF":  {factor: 1.8, offset: 32, places: 2},
+            "K":     {factor: 1, offset: 273.15, places: 2}
+        },
+        pressure: {
+            "hPa":   null,
+            "inHg":  {factor: 0.0295300, offset: 0, places: 3},
+            "mmHg":  {factor: 0.7500617, offset: 0, places: 1}
+        },
+        speed: {
+            "m/s":   null,
+            "km/h":  {factor: 3.6, offset: 0, places: 2},
+            "mph":   {factor: 2.2369363, offset: 0, places: 2},
+            "knots": {factor: 1.9438445, offset: 0, places: 2}
+        },
+        rainfall: {
+            "mm":    null,
+            "in":    {factor: 1/25.4, offset: 0, places: 3}
+        }
+    };
+
+// Return the units chosen for each kind of measurement in the node configuration n, as {temperature, pressure, speed,
+// rainfall}. Missing or unknown units are replaced by those of the RFXtrx433
+    const sensorUnits = function (n) {
+        const units = {};
+        Object.keys(SENSOR_UNITS).forEach(function (kind) {
+            const unit = n[kind + "Unit"];
+            units[kind] = SENSOR_UNITS[kind].hasOwnProperty(unit) ? unit : Object.keys(SENSOR_UNITS[kind])[0];
+        });
+        return units;
+    };
+
+// Return a measurement of the given kind as {value, unit}, converted to the unit chosen by the node. The value may be
+// an Array of measurements (as from a BBQ thermometer). The suffix is appended to the unit, e.g. '/hr' for a rate
+    const sensorMeasurement = function (node, kind, value, suffix) {
+        const unit = node.units[kind];
+        const conversion = SENSOR_UNITS[kind][unit];
+        const convert = function (item) {
+            if (conversion === null || typeof item !== "number") {
+                return item;
+            }
+            return Number((item*conversion.factor + conversion.offset).toFixed(conversion.places));
+        };
+        return {value: Array.isArray(value) ? value.map(convert) : convert(value), unit: unit + (suffix || "")};
+    };
+
+// Return the comfort values derived from a temperature (degC) and relative humidity (%), and the wind speed (m/s) if
+// known: the dew point (Magnus formula), heat index (NOAA: the Rothfusz regression with its adjustments, or Steadman's
+// formula below 80 degF), humidex (Environment Canada), absolute humidity (g/m3), and apparent temperature (Steadman,
+// as used by the Australian Bureau of Meteorology, in the shade). Temperatures are in degC, rounded to 0.1
+    const comfortValues = function (temperature, humidity, windSpeed) {
+        const round = function (value, places) {
+            return Number(value.toFixed(places));
+        };
+        // Saturation & actual vapour pressure (hPa)
+        const saturation = 6.112*Math.exp(17.62*temperature/(243.12 + temperature));
+        const vapour = saturation*humidity/100;
+        const gamma = Math.log(humidity/100) + 17.62*temperature/(243.12 + temperature);
+        const dewpoint = 243.12*gamma/(17.62 - gamma);
+        const tF = temperature*1.8 + 32;
+        let heatIndex = 0.5*(tF + 61 + (tF - 68)*1.2 + humidity*0.094);
+        if ((heatIndex + tF)/2 >= 80) {
+            heatIndex = -42.379 + 2.04901523*tF + 10.14333127*humidity - 0.22475541*tF*humidity -
+                0.00683783*tF*tF - 0.05481717*humidity*humidity + 0.00122874*tF*tF*humidity +
+                0.00085282*tF*humidity*humidity - 0.00000199*tF*tF*humidity*humidity;
+            if (humidity < 13 && tF >= 80 && tF <= 112) {
+                heatIndex = heatIndex - (13 - humidity)/4*Math.sqrt((17 - Math.abs(tF - 95))/17);
+            } else if (humidity > 85 && tF >= 80 && tF <= 87) {
+                heatIndex = heatIndex + (humidity - 85)/10*(87 - tF)/5;
+            }
+        }
+        const humidex = temperature + 0.5555*(6.11*Math.exp(5417.7530*(1/273.16 - 1/(273.15 + dewpoint))) - 10);
+        return {
+            dewpoint:            round(dewpoint, 1),
+            heatIndex:           round((heatIndex - 32)/1.8, 1),
+            humidex:             round(humidex, 1),
+            absoluteHumidity:    round(216.74*vapour/(273.15 + temperature), 2),
+            apparentTemperature: round(temperature + 0.33*vapour - 0.70*(windSpeed || 0) - 4.00, 1)
+        };
+    };
+
+// The range (mm) of the rainfall counters sent by some rain gauges, after which they wrap round to zero: RAIN6 has a
+// 4-bit tip count, RAIN9 & RAIN10 16-bit counts
+    const RAIN_COUNTER_RANGE = {RAIN6: 16*0.266, RAIN9: 65536*0.254, RAIN10: 65536*0.1};
+
+// Return the range (mm) of the rainfall counter of the rain gauge which sent evt (undefined if it is not known). RAIN8
+// has an 8-bit tip count, and the volume of each tip is a device parameter of the rfxcom object (0.2mm by default)
+    const rainCounterRange = function (rfxtrx, evt, subtypeName) {
+        if (subtypeName === "RAIN8") {
+            const cartridgeVolume = (rfxtrx && typeof rfxtrx.getDeviceParameter === "function") ?
+                rfxtrx.getDeviceParameter(rfxcom.packetNames.rain1, evt.subtype, evt.id, "cartridgeVolume", 0.2) : 0.2;
+            return 256*cartridgeVolume;
+        }
+        return RAIN_COUNTER_RANGE[subtypeName];
+    };
+
+// Add the rainfall reported by a rain gauge to its accumulated totals in state (kept in the node context), and return
+// the rainfall (mm) in the last hour & 24 hours, since midnight, and since the totals were reset. Gauges report either
+// a total, or a counter (the library's rainfallIncrement) which wraps round after range mm (if known). Each reading is
+// compared with the previous one, so repeated frames add nothing: the first reading only sets the baseline. A reading
+// lower than the previous one means the counter has wrapped, if the rain since is under half the range, or otherwise
+// that it was reset (e.g. when the gauge's batteries were changed), so all of it is new rain. Recent rain is kept in
+// one minute buckets, for the last 24 hours
+    const accumulateRainfall = function (state, evt, now, range) {
+        let increment = 0;
+        const reading = (typeof evt.rainfall === "number") ? evt.rainfall : evt.rainfallIncrement;
+        if (typeof reading === "number") {
+            if (typeof state.total === "number") {
+                if (reading >= state.total) {
+                    increment = reading - state.total;
+                } else if (range > 0 && reading + range - state.total < range/2) {
+                    increment = reading + range - state.total;
+                } else {
+                    increment = reading;
+                }
+            }
+            state.total = reading;
+        }
+        const minute = now - now % 60000;
+        state.minutes = (state.minutes || []).filter(function (bucket) {
+            return bucket[0] > now - 24*3600*1000;
+        });
+        if (increment > 0) {
+            const last = state.minutes[state.minutes.length - 1];
+            if (last !== undefined && last[0] === minute) {
+                last[1] = last[1] + increment;
+            } else {
+                state.minutes.push([minute, increment]);
+            }
+        }
+        const day = new Date(now).toDateString();
+        if (state.day !== day) {
+            state.day = day;
+            state.today = 0;
+        }
+        state.today = state.today + increment;
+        state.sinceReset = (state.sinceReset || 0) + increment;
+        const round = function (value) {
+            return Number(value.toFixed(2));
+        };
+        const rainSince = function (time) {
+            return round(state.minutes.reduce(function (total, bucket) {
+                return bucket[0] > time ? total + bucket[1] : total;
+            }, 0));
+        };
+        return {
+            lastHour:    rainSince(now - 3600*1000),
+            last24Hours: rainSince(now - 24*3600*1000),
+            today:       round(state.today),
+            sinceReset:  round(state.sinceReset)
+        };
+    };
+
 // An input node for listening to messages from (mainly weather) sensors
     function RfxWeatherSensorNode(n) {
         RED.nodes.createNode(this, n);
         this.port = n.port;
         this.topicSource = n.topicSource;
-        this.topic = normaliseTopic(n.topic);
+        this.registry = deviceRegistry(n.port);
+        this.topicFilter = compileTopicFilter(this, n);
+        this.nameAsTopic = n.nameAsTopic || false;
+        this.payloadFormat = n.payloadFormat || "DEFAULT";
         this.name = n.name;
+        this.repeatWindow = parseInt(n.repeatWindow) || 0;
+        this.countRepeats = n.countRepeats || false;
+        this.squelchLevel = parseInt(n.squelchLevel) || 0;
+        this.squelchOverrides = parseSquelchOverrides(this, n.squelchOverrides);
+        this.reportByException = n.reportByException || false;
+        this.deadbands = parseDeadbands(this, n.deadbands);
+        this.maxSilence = Math.max(Number(n.maxSilence) || 0, 0)*1000;
+        this.reported = {};
+        this.units = sensorUnits(n);
+        this.derivedValues = n.derivedValues || false;
+        this.rainAccumulation = n.rainAccumulation || false;
+        this.rainStore = n.rainStore || undefined;
+        this.rainfall = {};
         this.rfxtrxPort = RED.nodes.getNode(this.port);
 
         const node = this;
 
+        // The accumulated rainfall is read & written with callbacks, as not every context store supports synchronous
+        // access. Any gauge which reports before the saved rainfall has been read keeps its new totals
+        const saveRainfall = function () {
+            node.context().set("rainfall", node.rainfall, node.rainStore, function (err) {
+                if (err) {
+                    node.warn("RFXCOM: cannot save accumulated rainfall: " + err.message);
+                }
+            });
+        };
+        if (this.rainAccumulation) {
+            this.context().get("rainfall", this.rainStore, function (err, saved) {
+                if (err) {
+                    node.warn("RFXCOM: cannot read accumulated rainfall: " + err.message);
+                } else if (saved !== null && typeof saved === "object") {
+                    node.rainfall = Object.assign(saved, node.rainfall);
+                }
+            });
+        }
+
         const sendWeatherMessage = function (evt, msg) {
-            if (node.topicSource === "all" || normaliseAndCheckTopic(msg.topic, node.topic)) {
+            if (topicSelected(node, normaliseTopic(msg.topic))) {
                 msg.status = {rssi: evt.rssi};
                 if (evt.hasOwnProperty("batteryLevel")) {
                     msg.status.battery = evt.batteryLevel;
                 }
                 msg.payload = {};
                 if (evt.hasOwnProperty("temperature")) {
-                    msg.payload.temperature = {value: evt.temperature, unit: "degC"};
+                    msg.payload.temperature = sensorMeasurement(node, "temperature", evt.temperature);
                 }
                 if (evt.hasOwnProperty("setpoint")) {
-                    msg.payload.setpoint = {value: evt.setpoint, unit: "degC"};
+                    msg.payload.setpoint = sensorMeasurement(node, "temperature", evt.setpoint);
                     if (evt.hasOwnProperty("status")) {
                         msg.payload.status = evt.status;
                     }
@@ -947,18 +3114,18 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
                     }
                 }
                 if (evt.hasOwnProperty("barometer")) {
-                    msg.payload.pressure = {value: evt.barometer, unit: "hPa"};
+                    msg.payload.pressure = sensorMeasurement(node, "pressure", evt.barometer);
                 }
                 if (evt.hasOwnProperty("direction")) {
                     msg.payload.wind = {direction: {value: evt.direction, unit: "degrees"}};
                     if (evt.hasOwnProperty("averageSpeed")) {
-                        msg.payload.wind.speed = {value: evt.averageSpeed, unit: "m/s"};
-                        msg.payload.wind.gust = {value: evt.gustSpeed, unit: "m/s"};
+                        msg.payload.wind.speed = sensorMeasurement(node, "speed", evt.averageSpeed);
+                        msg.payload.wind.gust = sensorMeasurement(node, "speed", evt.gustSpeed);
                     } else {
-                        msg.payload.wind.speed = {value: evt.gustSpeed, unit: "m/s"};
+                        msg.payload.wind.speed = sensorMeasurement(node, "speed", evt.gustSpeed);
                     }
                     if (evt.hasOwnProperty("chillfactor")) {
-                        msg.payload.wind.chillfactor = {value: evt.chillfactor, unit: "degC"};
+                        msg.payload.wind.chillfactor = sensorMeasurement(node, "temperature", evt.chillfactor);
                     }
                 }
                 if (evt.hasOwnProperty("humidity")) {
@@ -969,12 +3136,21 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
                     };
                 }
                 if (evt.hasOwnProperty("rainfall")) {
-                    msg.payload.rainfall = {total: {value: evt.rainfall, unit: "mm"}};
+                    msg.payload.rainfall = {total: sensorMeasurement(node, "rainfall", evt.rainfall)};
                     if (evt.hasOwnProperty("rainfallRate")) {
-                        msg.payload.rainfall.rate = {value: evt.rainfallRate, unit: "mm/hr"};
+                        msg.payload.rainfall.rate = sensorMeasurement(node, "rainfall", evt.rainfallRate, "/hr");
                     }
                 } else if (evt.hasOwnProperty("rainfallIncrement")) {
-                    msg.payload.rainfall = {increment: {value: evt.rainfallIncrement, unit: "mm"}};
+                    msg.payload.rainfall = {increment: sensorMeasurement(node, "rainfall", evt.rainfallIncrement)};
+                }
+                if (node.derivedValues && typeof evt.temperature === "number" && typeof evt.humidity === "number" &&
+                    evt.humidity > 0) {
+                    const comfort = comfortValues(evt.temperature, evt.humidity, evt.averageSpeed);
+                    msg.payload.dewpoint = sensorMeasurement(node, "temperature", comfort.dewpoint);
+                    msg.payload.heatIndex = sensorMeasurement(node, "temperature", comfort.heatIndex);
+                    msg.payload.humidex = {value: comfort.humidex, unit: ""};
+                    msg.payload.absoluteHumidity = {value: comfort.absoluteHumidity, unit: "g/m3"};
+                    msg.payload.apparentTemperature = sensorMeasurement(node, "temperature", comfort.apparentTemperature);
                 }
                 if (evt.hasOwnProperty("uv")) {
                     msg.payload.uv = {value: evt.uv, unit: "UVIndex"};
@@ -982,7 +3158,20 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
                 if (evt.hasOwnProperty("forecast")) {
                     msg.payload.forecast = rfxcom.forecast[evt.forecast];
                 }
-                node.send(msg);
+                // Rain is only accumulated once the message is known not to be squelched, or a repeat
+                sendReceived(node, msg, function (msg) {
+                    if (node.rainAccumulation && msg.payload.hasOwnProperty("rainfall")) {
+                        if (node.rainfall.hasOwnProperty(msg.topic) === false) {
+                            node.rainfall[msg.topic] = {};
+                        }
+                        const range = rainCounterRange(node.rfxtrx, evt, msg.topic.split("/")[0]);
+                        const accumulated = accumulateRainfall(node.rainfall[msg.topic], evt, Date.now(), range);
+                        Object.keys(accumulated).forEach(function (period) {
+                            msg.payload.rainfall[period] = sensorMeasurement(node, "rainfall", accumulated[period]);
+                        });
+                        saveRainfall();
+                    }
+                });
             }
         };
         this.bbq1Handler = function (evt) {
@@ -1015,35 +3204,41 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
         this.uvHandler = function(evt) {
             sendWeatherMessage(evt, {topic: (rfxcom.uv1[evt.subtype] || "UV1_UNKNOWN") + "/" + evt.id})
         };
+        // An input message {resetRainfall: true} resets the accumulated rainfall of every rain gauge to zero, or
+        // {resetRainfall: topics} that of the gauges with the given topics (a string or Array)
+        onSubscriptionInput(this, n, node.rainAccumulation ? function (msg) {
+            if (msg.resetRainfall === undefined || msg.resetRainfall === false) {
+                return;
+            }
+            const topics = (msg.resetRainfall === true) ? null : [].concat(msg.resetRainfall).map(function (topic) {
+                return JSON.stringify(normaliseTopic(String(topic), node.registry));
+            });
+            Object.keys(node.rainfall).forEach(function (topic) {
+                if (topics === null || topics.indexOf(JSON.stringify(normaliseTopic(topic))) >= 0) {
+                    node.rainfall[topic].sinceReset = 0;
+                }
+            });
+            saveRainfall();
+        } : undefined);
         if (node.rfxtrxPort) {
             node.rfxtrx = rfxcomPool.get(node, node.rfxtrxPort);
             if (node.rfxtrx !== null) {
                 showConnectionStatus(node);
                 node.on("close", function () {
-                    if (node.rfxtrx) {
-                        node.rfxtrx.removeListener("bbq1", node.bbq1Handler);
-                        node.rfxtrx.removeListener("temperaturerain1", node.temperaturerainHandler);
-                        node.rfxtrx.removeListener("temperature1", node.temperatureHandler);
-                        node.rfxtrx.removeListener("humidity1", node.humidityHandler);
-                        node.rfxtrx.removeListener("temperaturehumidity1", node.temperaturehumidityHandler);
-                        node.rfxtrx.removeListener("temphumbaro1", node.temphumbaroHandler);
-                        node.rfxtrx.removeListener("thermostat1", node.thermostat1Handler);
-                        node.rfxtrx.removeListener("rain1", node.rainHandler);
-                        node.rfxtrx.removeListener("wind1", node.windHandler);
-                        node.rfxtrx.removeListener("uv1", node.uvHandler);
-                    }
+                    rfxcomPool.unsubscribe(node);
+                    clearRepeats(node);
                     releasePort(node);
                 });
-                node.rfxtrx.on("bbq1", this.bbq1Handler);
-                node.rfxtrx.on("temperaturerain1", this.temperaturerainHandler);
-                node.rfxtrx.on("temperature1", this.temperatureHandler);
-                node.rfxtrx.on("humidity1", this.humidityHandler);
-                node.rfxtrx.on("temperaturehumidity1", this.temperaturehumidityHandler);
-                node.rfxtrx.on("temphumbaro1", this.temphumbaroHandler);
-                node.rfxtrx.on("thermostat1", this.thermostat1Handler);
-                node.rfxtrx.on("rain1", this.rainHandler);
-                node.rfxtrx.on("wind1", this.windHandler);
-                node.rfxtrx.on("uv1", this.uvHandler);
+                rfxcomPool.subscribe(node, "bbq1", this.bbq1Handler);
+                rfxcomPool.subscribe(node, "temperaturerain1", this.temperaturerainHandler);
+                rfxcomPool.subscribe(node, "temperature1", this.temperatureHandler);
+                rfxcomPool.subscribe(node, "humidity1", this.humidityHandler);
+                rfxcomPool.subscribe(node, "temperaturehumidity1", this.temperaturehumidityHandler);
+                rfxcomPool.subscribe(node, "temphumbaro1", this.temphumbaroHandler);
+                rfxcomPool.subscribe(node, "thermostat1", this.thermostat1Handler);
+                rfxcomPool.subscribe(node, "rain1", this.rainHandler);
+                rfxcomPool.subscribe(node, "wind1", this.windHandler);
+                rfxcomPool.subscribe(node, "uv1", this.uvHandler);
             }
         } else {
             node.error("missing config: rfxtrx-port");
@@ -1057,15 +3252,27 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
         RED.nodes.createNode(this, n);
         this.port = n.port;
         this.topicSource = n.topicSource;
-        this.topic = normaliseTopic(n.topic);
+        this.registry = deviceRegistry(n.port);
+        this.topicFilter = compileTopicFilter(this, n);
+        onSubscriptionInput(this, n);
+        this.nameAsTopic = n.nameAsTopic || false;
+        this.payloadFormat = n.payloadFormat || "DEFAULT";
         this.name = n.name;
+        this.repeatWindow = parseInt(n.repeatWindow) || 0;
+        this.countRepeats = n.countRepeats || false;
+        this.squelchLevel = parseInt(n.squelchLevel) || 0;
+        this.squelchOverrides = parseSquelchOverrides(this, n.squelchOverrides);
+        this.reportByException = n.reportByException || false;
+        this.deadbands = parseDeadbands(this, n.deadbands);
+        this.maxSilence = Math.max(Number(n.maxSilence) || 0, 0)*1000;
+        this.reported = {};
         this.rfxtrxPort = RED.nodes.getNode(this.port);
 
         const node = this;
 
         this.cartelectronicHandler = function (evt) {
             let msg = {topic: (rfxcom.cartelectronic[evt.subtype] || "CARTELECTRONIC_UNKNOWN") + "/" + evt.id};
-            if (node.topicSource === "all" || normaliseAndCheckTopic(msg.topic, node.topic)) {
+            if (topicSelected(node, normaliseTopic(msg.topic))) {
                 msg.status = {rssi: evt.rssi, battery: evt.batteryLevel};
                 msg.payload = {cartelectronic: {}};
                 switch (evt.subtype) {
@@ -1120,7 +3327,7 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
                         msg.payload.cartelectronic.type = "INCONNU";
                         break;
                 }
-                node.send(msg);
+                sendReceived(node, msg);
 
             }
         };
@@ -1130,7 +3337,7 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
             if (packetType === 0x71 && evt.subtype !== 0) {
                 return;
             }
-            if (node.topicSource === "all" || normaliseAndCheckTopic(msg.topic, node.topic)) {
+            if (topicSelected(node, normaliseTopic(msg.topic))) {
                 msg.status = {rssi: evt.rssi};
                 if (evt.hasOwnProperty("batteryLevel")) {
                     msg.status.battery = evt.batteryLevel;
@@ -1157,7 +3364,7 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
                 if (evt.hasOwnProperty("counter")) {
                     msg.payload.counter = {value: evt.counter, unit: "Count"}
                 }
-                node.send(msg);
+                sendReceived(node, msg);
             }
         };
         this.elec1Handler = function (evt, packetType) {
@@ -1181,22 +3388,16 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
             if (node.rfxtrx !== null) {
                 showConnectionStatus(node);
                 node.on("close", function () {
-                    if (node.rfxtrx) {
-                        node.rfxtrx.removeListener("elec1", node.elec1Handler);
-                        node.rfxtrx.removeListener("elec23", node.elec1Handler);
-                        node.rfxtrx.removeListener("elec4", node.elec1Handler);
-                        node.rfxtrx.removeListener("elec5", node.elec1Handler);
-                        node.rfxtrx.removeListener("rfxmeter", node.rfxmeterHandler);
-                        node.rfxtrx.removeListener("cartelectronic", node.cartelectronicHandler);
-                    }
+                    rfxcomPool.unsubscribe(node);
+                    clearRepeats(node);
                     releasePort(node);
                 });
-                node.rfxtrx.on("elec1", this.elec1Handler);
-                node.rfxtrx.on("elec23", this.elec23Handler);
-                node.rfxtrx.on("elec4", this.elec1Handler);
-                node.rfxtrx.on("elec5", this.elec1Handler);
-                node.rfxtrx.on("rfxmeter", this.rfxmeterHandler);
-                node.rfxtrx.on("cartelectronic", this.cartelectronicHandler)
+                rfxcomPool.subscribe(node, "elec1", this.elec1Handler);
+                rfxcomPool.subscribe(node, "elec23", this.elec23Handler);
+                rfxcomPool.subscribe(node, "elec4", this.elec4Handler);
+                rfxcomPool.subscribe(node, "elec5", this.elec5Handler);
+                rfxcomPool.subscribe(node, "rfxmeter", this.rfxmeterHandler);
+                rfxcomPool.subscribe(node, "cartelectronic", this.cartelectronicHandler);
             }
         } else {
             node.error("missing config: rfxtrx-port");
@@ -1210,10 +3411,17 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
         RED.nodes.createNode(this, n);
         this.port = n.port;
         this.topicSource = n.topicSource;
-        this.topic = normaliseTopic(n.topic);
+        this.registry = deviceRegistry(n.port);
+        this.topicFilter = compileTopicFilter(this, n);
+        onSubscriptionInput(this, n);
+        this.nameAsTopic = n.nameAsTopic || false;
         this.outputHeartbeats = n.outputHeartbeats || false;
         this.payloadFormat = n.payloadFormat || "TITLE_CASE";
         this.name = n.name;
+        this.repeatWindow = parseInt(n.repeatWindow) || 0;
+        this.countRepeats = n.countRepeats || false;
+        this.squelchLevel = parseInt(n.squelchLevel) || 0;
+        this.squelchOverrides = parseSquelchOverrides(this, n.squelchOverrides);
         this.rfxtrxPort = RED.nodes.getNode(this.port);
 
         const node = this;
@@ -1226,7 +3434,7 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
         node.HEARTBEATDELAY[rfxcom.security1.POWERCODE_PIR] = 20;
         this.security1Handler = function (evt) {
             let msg = {topic: (rfxcom.security1[evt.subtype] || "SECURITY1_UNKNOWN") + "/" + evt.id};
-            if (node.topicSource === "all" || normaliseAndCheckTopic(msg.topic, node.topic)) {
+            if (topicSelected(node, normaliseTopic(msg.topic))) {
                 msg.status = {rssi: evt.rssi};
                 switch (evt.subtype) {
                     case rfxcom.security1.KD101:
@@ -1332,6 +3540,13 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
                                     }
                                     return setInterval(function () {
                                         delete heartbeatStoppedMsg._msgid;
+                                        if (node.payloadFormat === "STRUCTURED") {
+                                            heartbeatStoppedMsg.payload = structuredPayload({
+                                                topic:   heartbeatStoppedMsg.topic,
+                                                payload: "Silent",
+                                                status:  heartbeatStoppedMsg.lastMessageStatus
+                                            });
+                                        }
                                         node.send(heartbeatStoppedMsg);
                                     }, 60*1000*node.HEARTBEATDELAY[evt.subtype]);
                                 }())
@@ -1373,7 +3588,7 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
             if (evt.subtype === rfxcom.activLink.ACTIV_LINK_PIR) {
                 let msg = {status: {rssi: evt.rssi}};
                 msg.topic = (rfxcom.activLink[evt.subtype] || "ACTIV_LINK_UNKNOWN") + "/" + evt.id;
-                if (node.topicSource === "all" || normaliseAndCheckTopic(msg.topic, node.topic)) {
+                if (topicSelected(node, normaliseTopic(msg.topic))) {
                     msg.payload = "Motion";
                     node.sendFormatted(msg);
                 }
@@ -1385,18 +3600,18 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
             if (node.rfxtrx !== null) {
                 showConnectionStatus(node);
                 node.on("close", function () {
-                    node.rfxtrx.removeListener("security1", node.security1Handler);
-                    node.rfxtrx.removeListener("activlink", node.activLinkHandler);
+                    rfxcomPool.unsubscribe(node);
                     let heartbeat = {};
                     for (heartbeat in node.heartbeats) {
                         if (node.heartbeats.hasOwnProperty(heartbeat)) {
                             clearInterval(node.heartbeats[heartbeat]);
                         }
                     }
+                    clearRepeats(node);
                     releasePort(node);
                 });
-                node.rfxtrx.on("security1", this.security1Handler)
-                node.rfxtrx.on("activlink", this.activLinkHandler);
+                rfxcomPool.subscribe(node, "security1", this.security1Handler);
+                rfxcomPool.subscribe(node, "activlink", this.activLinkHandler);
             }
         }
     }
@@ -1408,8 +3623,10 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
         RED.nodes.createNode(this, n);
         this.port = n.port;
         this.topicSource = n.topicSource || "msg";
-        this.topic = stringToParts(n.topic);
+        this.registry = deviceRegistry(n.port);
+        this.topic = stringToParts(deviceTopic(this.registry, n.topic));
         this.name = n.name;
+        this.ackOutput = n.ackOutput || false;
         this.rfxtrxPort = RED.nodes.getNode(this.port);
 
         const node = this;
@@ -1422,14 +3639,14 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
                 node.on("close", function () {
                     releasePort(node);
                 });
-                node.on("input", function (msg) {
+                onTransmitInput(node, function (msg) {
                     // Get the device address from the node topic, or the message topic if the node topic is undefined;
                     // any message, regardless of payload, sends a PANIC status to the address
                     let path = [], protocolName, subtype = -1, deviceAddress;
                     if (node.topicSource === "node" && node.topic !== undefined) {
                         path = node.topic;
                     } else if (msg.topic !== undefined) {
-                        path = stringToParts(msg.topic);
+                        path = stringToParts(deviceTopic(node.registry, msg.topic));
                     }
                     if (path.length === 0) {
                         node.warn((node.name || "rfx-alarm-out ") + ": missing topic");
@@ -1479,10 +3696,12 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
         RED.nodes.createNode(this, n);
         this.port = n.port;
         this.topicSource = n.topicSource || "msg";
-        this.topic = stringToParts(n.topic);
+        this.registry = deviceRegistry(n.port);
+        this.topic = stringToParts(deviceTopic(this.registry, n.topic));
         this.retransmit = n.retransmit || "none";
         this.retransmitInterval = n.retransmitInterval || 20;
         this.name = n.name;
+        this.ackOutput = n.ackOutput || false;
         this.rfxtrxPort = RED.nodes.getNode(this.port);
 
         const node = this;
@@ -1641,14 +3860,14 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
                     purgeTimers(node);
                     releasePort(node);
                 });
-                node.on("input", function (msg) {
+                onTransmitInput(node, function (msg) {
                     // Get the device address from the node topic, or the message topic if the node topic is undefined;
                     // parse the device command from the message payload; and send the appropriate command to the address
                     let path = [], protocolName, subtype, deviceAddress, unitAddress, lastCommand, topic;
                     if (node.topicSource === "node" && node.topic !== undefined) {
                         path = node.topic;
                     } else if (msg.topic !== undefined) {
-                        path = stringToParts(msg.topic);
+                        path = stringToParts(deviceTopic(node.registry, msg.topic));
                     }
                     if (path.length === 0) {
                         node.warn("rfx-lights-out: missing topic");
@@ -1756,8 +3975,10 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
         RED.nodes.createNode(this, n);
         this.port = n.port;
         this.topicSource = n.topicSource || "msg";
-        this.topic = stringToParts(n.topic);
+        this.registry = deviceRegistry(n.port);
+        this.topic = stringToParts(deviceTopic(this.registry, n.topic));
         this.name = n.name;
+        this.ackOutput = n.ackOutput || false;
         this.rfxtrxPort = RED.nodes.getNode(this.port);
 
         const node = this;
@@ -1882,14 +4103,14 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
                 node.on("close", function () {
                     releasePort(node);
                 });
-                node.on("input", function (msg) {
+                onTransmitInput(node, function (msg) {
                     // Get the device address from the node topic, or the message topic if the node topic is undefined;
                     // parse the device command from the message payload; and send the appropriate command to the address
                     let path = [], protocolName, subtype, deviceAddress, speedRange;
                     if (node.topicSource === "node" && node.topic !== undefined) {
                         path = node.topic;
                     } else if (msg.topic !== undefined) {
-                        path = stringToParts(msg.topic);
+                        path = stringToParts(deviceTopic(node.registry, msg.topic));
                     }
                     if (path.length === 0) {
                         node.warn((node.name || "rfx-fan-out ") + ": missing topic");
@@ -1960,38 +4181,46 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
         RED.nodes.createNode(this, n);
         this.port = n.port;
         this.topicSource = n.topicSource;
-        this.topic = normaliseTopic(n.topic);
+        this.registry = deviceRegistry(n.port);
+        this.topicFilter = compileTopicFilter(this, n);
+        onSubscriptionInput(this, n);
+        this.nameAsTopic = n.nameAsTopic || false;
+        this.payloadFormat = n.payloadFormat || "DEFAULT";
         this.name = n.name;
+        this.repeatWindow = parseInt(n.repeatWindow) || 0;
+        this.countRepeats = n.countRepeats || false;
+        this.squelchLevel = parseInt(n.squelchLevel) || 0;
+        this.squelchOverrides = parseSquelchOverrides(this, n.squelchOverrides);
         this.rfxtrxPort = RED.nodes.getNode(this.port);
 
         const node = this;
         this.lighting1Handler = function (evt) {
             let msg = {status: {rssi: evt.rssi}};
             msg.topic = (rfxcom.lighting1[evt.subtype] || "LIGHTING1_UNKNOWN") + "/" + evt.houseCode + "/" + evt.unitCode;
-            if (node.topicSource === "all" || normaliseAndCheckTopic(msg.topic, node.topic)) {
+            if (topicSelected(node, normaliseTopic(msg.topic))) {
                 if (evt.subtype !== 0x01 || evt.commandNumber !== 7) {
                     return;
                 }
-                node.send(msg);
+                sendReceived(node, msg);
             }
         };
         this.chime1Handler = function (evt) {
             let msg = {status: {rssi: evt.rssi}};
             msg.topic = (rfxcom.chime1[evt.subtype] || "CHIME1_UNKNOWN") + "/" + evt.id;
-            if (node.topicSource === "all" || normaliseAndCheckTopic(msg.topic, node.topic)) {
+            if (topicSelected(node, normaliseTopic(msg.topic))) {
                 if (evt.subtype === rfxcom.chime1.BYRON_SX) {
                     msg.payload = evt.commandNumber;
                 }
-                node.send(msg);
+                sendReceived(node, msg);
             }
         };
         this.activLinkHandler = function (evt) {
             let msg = {status: {rssi: evt.rssi}};
             msg.topic = (rfxcom.activLink[evt.subtype] || "ACTIV_LINK_UNKNOWN") + "/" + evt.id;
             if (evt.subtype === rfxcom.activLink.ACTIV_LINK_CHIME) {
-                if (node.topicSource === "all" || normaliseAndCheckTopic(msg.topic, node.topic)) {
+                if (topicSelected(node, normaliseTopic(msg.topic))) {
                     msg.payload = {command: evt.command, alert: evt.alert};
-                    node.send(msg);
+                    sendReceived(node, msg);
                 }
             }
         };
@@ -2000,16 +4229,13 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
             if (node.rfxtrx !== null) {
                 showConnectionStatus(node);
                 node.on("close", function () {
-                    if (node.rfxtrx) {
-                        node.rfxtrx.removeListener("lighting1", node.lighting1Handler);
-                        node.rfxtrx.removeListener("chime1", node.chime1Handler);
-                        node.rfxtrx.removeListener("activlink", node.activLinkHandler);
-                    }
+                    rfxcomPool.unsubscribe(node);
+                    clearRepeats(node);
                     releasePort(node);
                 });
-                node.rfxtrx.on("lighting1", this.lighting1Handler);
-                node.rfxtrx.on("chime1", this.chime1Handler);
-                node.rfxtrx.on("activlink", this.activLinkHandler);
+                rfxcomPool.subscribe(node, "lighting1", this.lighting1Handler);
+                rfxcomPool.subscribe(node, "chime1", this.chime1Handler);
+                rfxcomPool.subscribe(node, "activlink", this.activLinkHandler);
             }
         } else {
             node.error("missing config: rfxtrx-port");
@@ -2023,8 +4249,10 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
         RED.nodes.createNode(this, n);
         this.port = n.port;
         this.topicSource = n.topicSource || "msg";
-        this.topic = stringToParts(n.topic);
+        this.registry = deviceRegistry(n.port);
+        this.topic = stringToParts(deviceTopic(this.registry, n.topic));
         this.name = n.name;
+        this.ackOutput = n.ackOutput || false;
         this.rfxtrxPort = RED.nodes.getNode(this.port);
 
         const node = this;
@@ -2080,14 +4308,14 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
                 node.on("close", function () {
                     releasePort(node);
                 });
-                node.on("input", function (msg) {
+                onTransmitInput(node, function (msg) {
                     // Get the device address from the node topic, or the message topic if the node topic is undefined;
                     // parse the device command from the message payload; and send the appropriate command to the address
                     let path = [], protocolName, subtype, deviceAddress, unitAddress;
                     if (node.topicSource === "node" && node.topic !== undefined) {
                         path = node.topic;
                     } else if (msg.topic !== undefined) {
-                        path = stringToParts(msg.topic);
+                        path = stringToParts(deviceTopic(node.registry, msg.topic));
                     }
                     if (path.length === 0) {
                         node.warn((node.name || "rfx-doorbell-out ") + ": missing topic");
@@ -2124,8 +4352,10 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
         RED.nodes.createNode(this, n);
         this.port = n.port;
         this.topicSource = n.topicSource || "msg";
-        this.topic = stringToParts(n.topic);
+        this.registry = deviceRegistry(n.port);
+        this.topic = stringToParts(deviceTopic(this.registry, n.topic));
         this.name = n.name;
+        this.ackOutput = n.ackOutput || false;
         this.rfxtrxPort = RED.nodes.getNode(this.port);
 
         const node = this;
@@ -2169,14 +4399,14 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
                 node.on("close", function () {
                     releasePort(node);
                 });
-                node.on("input", function (msg) {
+                onTransmitInput(node, function (msg) {
                     // Get the device address from the node topic, or the message topic if the node topic is undefined;
                     // parse the device command from the message payload; and send the appropriate command to the address
                     let path = [], protocolName, subtype, deviceAddress, unitAddress;
                     if (node.topicSource === "node" && node.topic !== undefined) {
                         path = node.topic;
                     } else if (msg.topic !== undefined) {
-                        path = stringToParts(msg.topic);
+                        path = stringToParts(deviceTopic(node.registry, msg.topic));
                     }
                     if (path.length === 0) {
                         node.warn((node.name || "rfx-trv-out ") + ": missing topic");
@@ -2213,8 +4443,10 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
         RED.nodes.createNode(this, n);
         this.port = n.port;
         this.topicSource = n.topicSource || "msg";
-        this.topic = stringToParts(n.topic);
+        this.registry = deviceRegistry(n.port);
+        this.topic = stringToParts(deviceTopic(this.registry, n.topic));
         this.name = n.name;
+        this.ackOutput = n.ackOutput || false;
         this.rfxtrxPort = RED.nodes.getNode(this.port);
 
         const node = this;
@@ -2521,14 +4753,14 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
                 node.on("close", function () {
                     releasePort(node);
                 });
-                node.on("input", function (msg) {
+                onTransmitInput(node, function (msg) {
                     // Get the device address from the node topic, or the message topic if the node topic is undefined;
                     // parse the device command from the message payload; and send the appropriate command to the address
                     let path = [], protocolName, subtype, deviceAddress, unitAddress;
                     if (node.topicSource === "node" && node.topic !== undefined) {
                         path = node.topic;
                     } else if (msg.topic !== undefined) {
-                        path = stringToParts(msg.topic);
+                        path = stringToParts(deviceTopic(node.registry, msg.topic));
                     }
                     if (path.length === 0) {
                         node.warn((node.name || "rfx-heat-out ") + ": missing topic");
@@ -2561,9 +4793,16 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
         RED.nodes.createNode(this, n);
         this.port = n.port;
         this.topicSource = n.topicSource;
-        this.topic = normaliseTopic(n.topic);
+        this.registry = deviceRegistry(n.port);
+        this.topicFilter = compileTopicFilter(this, n);
+        onSubscriptionInput(this, n);
+        this.nameAsTopic = n.nameAsTopic || false;
         this.payloadFormat = n.payloadFormat || "TITLE_CASE";
         this.name = n.name;
+        this.repeatWindow = parseInt(n.repeatWindow) || 0;
+        this.countRepeats = n.countRepeats || false;
+        this.squelchLevel = parseInt(n.squelchLevel) || 0;
+        this.squelchOverrides = parseSquelchOverrides(this, n.squelchOverrides);
         this.rfxtrxPort = RED.nodes.getNode(this.port);
 
         const node = this;
@@ -2575,7 +4814,7 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
                 evt.subtype !== 10 && evt.subtype !== 18) {
                 msg.topic = msg.topic + "/" + evt.unitCode;
             }
-            if (node.topicSource === "all" || normaliseAndCheckTopic(msg.topic, node.topic)) {
+            if (topicSelected(node, normaliseTopic(msg.topic))) {
                 msg.payload = evt.command;
                 node.sendFormatted(msg);
             }
@@ -2583,7 +4822,7 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
         this.blinds2Handler = function (evt) {
             let msg = {status: {rssi: evt.rssi, battery: evt.batteryLevel}};
             msg.topic = (rfxcom.blinds2[evt.subtype] || "BLINDS2_UNKNOWN") + "/" + evt.id + "/" + evt.unitCode;
-            if (node.topicSource === "all" || normaliseAndCheckTopic(msg.topic, node.topic)) {
+            if (topicSelected(node, normaliseTopic(msg.topic))) {
                 if (evt.commandNumber >= 0x07) {
                     return;
                 } else if (evt.commandNumber < 0x04) {
@@ -2601,7 +4840,7 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
         this.lighting5Handler = function (evt) {
             let msg = {status: {rssi: evt.rssi}};
             msg.topic = (rfxcom.lighting5[evt.subtype] || "LIGHTING5_UNKNOWN") + "/" + evt.id;
-            if (node.topicSource === "all" || normaliseAndCheckTopic(msg.topic, node.topic)) {
+            if (topicSelected(node, normaliseTopic(msg.topic))) {
                 if (evt.subtype === rfxcom.lighting5.LIGHTWAVERF) {
                     switch (evt.commandNumber) {
                         case 13:
@@ -2622,16 +4861,13 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
             if (node.rfxtrx !== null) {
                 showConnectionStatus(node);
                 node.on("close", function () {
-                    if (node.rfxtrx) {
-                        node.rfxtrx.removeListener("blinds1", node.blinds1Handler);
-                        node.rfxtrx.removeListener("blinds2", node.blinds2Handler);
-                        node.rfxtrx.removeListener("lighting5", node.lighting5Handler);
-                    }
+                    rfxcomPool.unsubscribe(node);
+                    clearRepeats(node);
                     releasePort(node);
                 });
-                node.rfxtrx.on("blinds1", this.blinds1Handler);
-                node.rfxtrx.on("blinds2", this.blinds2Handler);
-                node.rfxtrx.on("lighting5", this.lighting5Handler);
+                rfxcomPool.subscribe(node, "blinds1", this.blinds1Handler);
+                rfxcomPool.subscribe(node, "blinds2", this.blinds2Handler);
+                rfxcomPool.subscribe(node, "lighting5", this.lighting5Handler);
             }
         } else {
             node.error("missing config: rfxtrx-port");
@@ -2645,8 +4881,10 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
         RED.nodes.createNode(this, n);
         this.port = n.port;
         this.topicSource = n.topicSource || "msg";
-        this.topic = stringToParts(n.topic);
+        this.registry = deviceRegistry(n.port);
+        this.topic = stringToParts(deviceTopic(this.registry, n.topic));
         this.name = n.name;
+        this.ackOutput = n.ackOutput || false;
         this.rfxtrxPort = RED.nodes.getNode(this.port);
 
         const node = this;
@@ -2797,14 +5035,14 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
                 node.on("close", function () {
                     releasePort(node);
                 });
-                node.on("input", function (msg) {
+                onTransmitInput(node, function (msg) {
                     // Get the device address from the node topic, or the message topic if the node topic is undefined;
                     // parse the device command from the message payload; and send the appropriate command to the address
                     let path = [], protocolName, subtype, deviceAddress, unitAddress;
                     if (node.topicSource === "node" && node.topic !== undefined) {
                         path = node.topic;
                     } else if (msg.topic !== undefined) {
-                        path = stringToParts(msg.topic);
+                        path = stringToParts(deviceTopic(node.registry, msg.topic));
                     }
                     if (path.length === 0) {
                         node.warn((node.name || "rfx-blinds-out") + ": missing topic");
@@ -2855,4 +5093,283 @@ RED.nodes.registerType("rfx-raw-out", RfxRawOutNode);
 
     RED.nodes.registerType("rfx-blinds-out", RfxBlindsOutNode);
 
+// A node reporting the connection state & firmware details of a transceiver: it sends a message each time the state
+// changes, and replies to any input message with the current state
+    function RfxStatusNode(n) {
+        RED.nodes.createNode(this, n);
+        this.port = n.port;
+        this.name = n.name;
+        this.rfxtrxPort = RED.nodes.getNode(this.port);
+
+        const node = this;
+        this.connectionStateHandler = function (state) {
+            node.send({topic: node.rfxtrxPort.port, payload: state});
+        };
+
+        if (node.rfxtrxPort) {
+            node.rfxtrx = rfxcomPool.get(node, node.rfxtrxPort);
+            if (node.rfxtrx !== null) {
+                showConnectionStatus(node);
+                node.on("close", function () {
+                    releasePort(node);
+                });
+                node.on("input", function (msg) {
+                    msg.topic = node.rfxtrxPort.port;
+                    msg.payload = rfxcomPool.state(node.rfxtrxPort.port);
+                    node.send(msg);
+                });
+            }
+        } else {
+            node.error("missing config: rfxtrx-port");
+        }
+    }
+
+    RED.nodes.registerType("rfx-status", RfxStatusNode);
+
+// A node which records the packets received by a transceiver to a file, one JSON object per line, or which replays a
+// recording: the packets are passed to the RfxCom object as if just received, so input nodes react exactly as they
+// did live. Replay starts on any input message, and keeps the original timing, divided by the speed factor (if the
+// speed is 0, the packets are replayed without delay). When recording, an input message with a payload of false or
+// 'stop' pauses the recording, and any other resumes it
+    function RfxCaptureNode(n) {
+        RED.nodes.createNode(this, n);
+        this.port = n.port;
+        this.mode = n.mode || "record";
+        this.filename = n.filename || "";
+        this.speed = (n.speed === undefined || n.speed === "") ? 1 : Math.max(Number(n.speed) || 0, 0);
+        this.name = n.name;
+        this.rfxtrxPort = RED.nodes.getNode(this.port);
+
+        const node = this;
+        let stream = null, recording = true, lastPacket = null, recorded = 0, replaying = null;
+
+        const showCount = function (fill, text) {
+            node.status({fill: fill, shape: "dot", text: text});
+        };
+
+        // The raw packet is emitted (as a "receive" event) immediately before the decoded event
+        this.receiveHandler = function (data) {
+            lastPacket = data;
+        };
+        this.packetHandler = function (evt, packetType) {
+            if (lastPacket === null || lastPacket[1] !== packetType || stream === null || recording === false) {
+                return;
+            }
+            const packetName = rfxcom.packetNames[packetType];
+            const record = {
+                timestamp:  Date.now(),
+                port:       node.rfxtrxPort.port,
+                packetType: packetName,
+                subtype:    subtypeName(packetName, lastPacket[2]),
+                data:       rfxcom.RfxCom.dumpHex(lastPacket, false).join("")
+            };
+            if (evt !== null && typeof evt === "object" && evt.hasOwnProperty("rssi")) {
+                record.rssi = evt.rssi;
+            }
+            lastPacket = null;
+            stream.write(JSON.stringify(record) + "\n");
+            recorded = recorded + 1;
+            showCount("green", "recorded " + recorded);
+        };
+
+        // Stop the replay in progress (if any), completing the message which started it with an error
+        const stopReplay = function (reason) {
+            if (replaying !== null) {
+                const stopped = replaying;
+                replaying = null;
+                clearTimeout(stopped.timer);
+                stopped.done(new Error("RFXCOM: replay stopped: " + reason));
+            }
+        };
+
+        // Read a recording, returning an Array of {timestamp, data} objects in time order
+        const readRecording = function (filename, callback) {
+            fs.readFile(filename, "utf8", function (err, text) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                const packets = [];
+                text.split(/\r?\n/).forEach(function (line, index) {
+                    if (line.trim() === "") {
+                        return;
+                    }
+                    let bytes = null, record = {};
+                    try {
+                        record = JSON.parse(line);
+                        bytes = hexToBytes(record.data);
+                    } catch (ignore) {
+                    }
+                    if (bytes === null || bytes.length < 4 || bytes[0] !== bytes.length - 1) {
+                        node.warn("RFXCOM: " + filename + " line " + (index + 1) + ": invalid packet, skipped");
+                    } else {
+                        packets.push({timestamp: Number(record.timestamp) || 0, data: bytes});
+                    }
+                });
+                callback(null, packets);
+            });
+        };
+
+        const replay = function (msg, done) {
+            const filename = msg.filename || node.filename;
+            const speed = (msg.speed === undefined) ? node.speed : Math.max(Number(msg.speed) || 0, 0);
+            stopReplay("a new replay was started");
+            const current = {done: done, timer: null};
+            replaying = current;
+            readRecording(filename, function (err, packets) {
+                if (replaying !== current) {
+                    return;
+                }
+                if (err) {
+                    replaying = null;
+                    showCount("red", "replay failed");
+                    done(err);
+                    return;
+                }
+                let index = 0;
+                const next = function () {
+                    current.timer = null;
+                    // Feed the packet (an Array of bytes, as the parser produces) to the RfxCom object, exactly as
+                    // a packet received live
+                    node.rfxtrx.parser.emit("data", packets[index].data.slice());
+                    index = index + 1;
+                    showCount("blue", "replayed " + index + "/" + packets.length);
+                    if (index < packets.length) {
+                        const delay = packets[index].timestamp - packets[index - 1].timestamp;
+                        current.timer = setTimeout(next, speed > 0 ? Math.max(delay, 0)/speed : 0);
+                    } else {
+                        replaying = null;
+                        showCount("green", "replayed " + packets.length);
+                        done();
+                    }
+                };
+                if (packets.length === 0) {
+                    replaying = null;
+                    showCount("yellow", "nothing to replay");
+                    done();
+                } else {
+                    showCount("blue", "replaying " + packets.length);
+                    current.timer = setTimeout(next, 0);
+                }
+            });
+        };
+
+        if (node.rfxtrxPort) {
+            node.rfxtrx = rfxcomPool.get(node, node.rfxtrxPort);
+            if (node.rfxtrx !== null) {
+                if (node.filename === "") {
+                    node.error("missing filename");
+                } else if (node.mode === "record") {
+                    stream = fs.createWriteStream(node.filename, {flags: "a"});
+                    stream.on("error", function (err) {
+                        node.error("RFXCOM: cannot write " + node.filename + ": " + err.message);
+                        showCount("red", "not recording");
+                        stream = null;
+                    });
+                    showCount("green", "recording");
+                    node.rfxtrx.on("receive", node.receiveHandler);
+                    receivedPacketEvents.forEach(function (event) {
+                        node.rfxtrx.on(event, node.packetHandler);
+                    });
+                    node.on("input", function (msg) {
+                        recording = (msg.payload !== false && String(msg.payload).toLowerCase() !== "stop");
+                        if (stream !== null) {
+                            showCount(recording ? "green" : "grey", (recording ? "recorded " : "paused, recorded ") + recorded);
+                        }
+                    });
+                } else {
+                    node.on("input", function (msg, send, done) {
+                        done = done || function (err) {
+                            if (err) {
+                                node.error(err, msg);
+                            }
+                        };
+                        replay(msg, done);
+                    });
+                }
+                node.on("close", function () {
+                    stopReplay("the node was closed");
+                    if (node.rfxtrx) {
+                        node.rfxtrx.removeListener("receive", node.receiveHandler);
+                        receivedPacketEvents.forEach(function (event) {
+                            node.rfxtrx.removeListener(event, node.packetHandler);
+                        });
+                    }
+                    if (stream !== null) {
+                        stream.end();
+                        stream = null;
+                    }
+                    releasePort(node);
+                });
+            }
+        } else {
+            node.error("missing config: rfxtrx-port");
+        }
+    }
+
+    RED.nodes.registerType("rfx-capture", RfxCaptureNode);
+
+// A catch-all input node, which listens for every type of packet decoded by the rfxcom library (including those no
+// dedicated input node handles) and sends the decoded event object unchanged, with its packet type & subtype names
+    function RfxInNode(n) {
+        RED.nodes.createNode(this, n);
+        this.port = n.port;
+        this.topicSource = n.topicSource;
+        this.registry = deviceRegistry(n.port);
+        this.topicFilter = compileTopicFilter(this, n);
+        onSubscriptionInput(this, n);
+        this.nameAsTopic = n.nameAsTopic || false;
+        this.payloadFormat = n.payloadFormat || "DEFAULT";
+        this.name = n.name;
+        this.repeatWindow = parseInt(n.repeatWindow) || 0;
+        this.countRepeats = n.countRepeats || false;
+        this.squelchLevel = parseInt(n.squelchLevel) || 0;
+        this.squelchOverrides = parseSquelchOverrides(this, n.squelchOverrides);
+        this.rfxtrxPort = RED.nodes.getNode(this.port);
+
+        const node = this;
+        this.packetHandlers = {};
+        receivedPacketEvents.forEach(function (packetName) {
+            node.packetHandlers[packetName] = function (evt) {
+                if (evt === null || typeof evt !== "object") {
+                    return;
+                }
+                const msg = {
+                    topic:      eventTopic(packetName, evt),
+                    packetType: packetName,
+                    subtype:    subtypeName(packetName, evt.subtype),
+                    payload:    Object.assign({}, evt)
+                };
+                if (topicSelected(node, normaliseTopic(msg.topic))) {
+                    if (evt.hasOwnProperty("rssi")) {
+                        msg.status = {rssi: evt.rssi};
+                        if (evt.hasOwnProperty("batteryLevel")) {
+                            msg.status.battery = evt.batteryLevel;
+                        }
+                    }
+                    sendReceived(node, msg);
+                }
+            };
+        });
+
+        if (node.rfxtrxPort) {
+            node.rfxtrx = rfxcomPool.get(node, node.rfxtrxPort);
+            if (node.rfxtrx !== null) {
+                showConnectionStatus(node);
+                node.on("close", function () {
+                    rfxcomPool.unsubscribe(node);
+                    clearRepeats(node);
+                    releasePort(node);
+                });
+                Object.keys(node.packetHandlers).forEach(function (packetName) {
+                    rfxcomPool.subscribe(node, packetName, node.packetHandlers[packetName]);
+                });
+            }
+        } else {
+            node.error("missing config: rfxtrx-port");
+        }
+    }
+
+    RED.nodes.registerType("rfx-in", RfxInNode);
+
 };